@@ -11,6 +11,7 @@
 
 import Ajv from 'ajv';
 import { create as createInterpolator } from './expression_interpolator';
+import { ROLE_KEYWORD, TOPIC_ROLES } from './event_topology';
 
 // JSON schema formats:
 const TOPIC_IDENTIFIER = '([a-z][+a-zA-Z0-9]*|[A-Z][+A-Z0-9]*)';
@@ -78,6 +79,18 @@ export function create() {
       schema: false
    } );
 
+   // marks topic properties of widget features, see event_topology.js
+   ajv.addKeyword( ROLE_KEYWORD, {
+      compile: role => {
+         if( TOPIC_ROLES.indexOf( role ) < 0 ) {
+            throw new Error(
+               `Unknown ${ROLE_KEYWORD} "${role}", expected one of: ${TOPIC_ROLES.join( ', ' )}`
+            );
+         }
+         return () => true;
+      }
+   } );
+
    return {
       compile,
       error
@@ -10,6 +10,8 @@
 
 import { flatten, merge } from './utils';
 
+const NON_ARTIFACT_KEYS = [ 'entries', 'errors' ];
+
 /**
  * Create a map of aliases for each artifact category.
  *
@@ -20,6 +22,7 @@ import { flatten, merge } from './utils';
  */
 export function buildAliases( artifacts ) {
    return Promise.all( Object.keys( artifacts )
+      .filter( key => NON_ARTIFACT_KEYS.indexOf( key ) < 0 )
       .map( key => buildEntryAliases( artifacts[ key ] ).then( aliases => ( { [ key ]: aliases } ) ) ) )
       .then( merge );
 }
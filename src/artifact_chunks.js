@@ -0,0 +1,108 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Helpers to split collected artifacts into a core and chunks that can be loaded on demand.
+ * @module artifactChunks
+ */
+'use strict';
+
+import { create as createArtifactGraph } from './artifact_graph';
+import { flatten } from './utils';
+
+export const SPLIT_MODES = [ 'flows', 'pages' ];
+
+const CHUNKED_CATEGORIES = [ 'pages', 'layouts', 'widgets', 'controls' ];
+
+/**
+ * Split the given artifacts into a core and one chunk per flow or per page.
+ *
+ * A chunk contains the pages, layouts, widgets and controls used by its flow (or page). Artifacts that
+ * are used by more than one chunk, or by none at all, stay in the core along with all artifacts of other
+ * categories, so that every artifact is contained exactly once. When splitting by page, a chunk is
+ * created for each page that is not only used as the base of other pages.
+ *
+ * Example:
+ *
+ *     splitArtifacts( artifacts, 'flows' );
+ *     // => {
+ *     //       core: { flows: [ ... ], themes: [ ... ], pages: [], widgets: [ ... ], ... },
+ *     //       chunks: {
+ *     //          main: { pages: [ ... ], layouts: [ ... ], widgets: [ ... ], controls: [ ... ] }
+ *     //       }
+ *     //    }
+ *
+ * @param {Object} artifacts
+ *    artifacts collected by the {@link ArtifactCollector}
+ * @param {String} split
+ *    either `"flows"` or `"pages"`
+ * @return {Object}
+ *    the `core` artifacts (in the format returned by the collector) and the `chunks`, each with lists of
+ *    the chunked categories, by the ref of the flow or page (its first ref, as the names of artifacts in
+ *    different directories may be the same)
+ */
+export function splitArtifacts( artifacts, split ) {
+   if( SPLIT_MODES.indexOf( split ) < 0 ) {
+      throw new Error( `Unknown split mode "${split}", expected one of: ${SPLIT_MODES.join( ', ' )}` );
+   }
+
+   const graph = createArtifactGraph( artifacts );
+   const isBasePage = page => graph.dependentsOf( page ).some( ({ category }) => category === 'pages' );
+   const roots = split === 'flows' ? artifacts.flows : artifacts.pages.filter( page => !isBasePage( page ) );
+
+   const members = roots.map( root => [ root, ...graph.transitiveDependenciesOf( root ) ]
+      .filter( ({ category }) => CHUNKED_CATEGORIES.indexOf( category ) >= 0 ) );
+
+   const usage = new Map();
+   flatten( members ).forEach( artifact => {
+      usage.set( artifact, ( usage.get( artifact ) || 0 ) + 1 );
+   } );
+   const isChunked = artifact => usage.get( artifact ) === 1;
+
+   const chunks = {};
+   roots.forEach( ( root, index ) => {
+      chunks[ root.refs[ 0 ] ] = pick( artifacts, artifact => members[ index ].indexOf( artifact ) >= 0 &&
+                                                          isChunked( artifact ) );
+   } );
+
+   return {
+      core: {
+         ...artifacts,
+         ...pick( artifacts, artifact => !isChunked( artifact ) )
+      },
+      chunks
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * List the refs by which the pages of a chunk can be requested.
+ *
+ * @param {Object} chunk a chunk as returned by {@link #splitArtifacts}
+ * @return {Array<String>} the names and refs of the chunk's pages
+ */
+export function chunkPageRefs( chunk ) {
+   return flatten( chunk.pages.map( ({ name, refs }) => [ name, ...refs ] ) )
+      .filter( ( ref, index, refs ) => refs.indexOf( ref ) === index );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Filter the artifacts of the chunked categories.
+ *
+ * @private
+ * @param {Object} artifacts the collected artifacts
+ * @param {Function} predicate a function to test each artifact
+ * @return {Object} the matching artifacts of each chunked category
+ */
+function pick( artifacts, predicate ) {
+   const result = {};
+   CHUNKED_CATEGORIES.forEach( category => {
+      result[ category ] = ( artifacts[ category ] || [] ).filter( predicate );
+   } );
+   return result;
+}
@@ -15,20 +15,32 @@
  * @ignore
  */
 import path from 'path';
-const { basename, dirname, join } = path;
+const { basename, dirname, join, normalize } = path;
 
 import { once } from './promise';
-import { flatten, values } from './utils';
+import { deepClone, flatten, values } from './utils';
+import { create as createGraph } from './artifact_graph';
+import { artifactError } from './errors';
+import { parse } from './source_locations';
 import defaults from './defaults';
 
 export default { create };
 
-const DOTSLASH = './';
-function safeJoin( ...args ) {
-   const joined = join(...args);
-   const prefix = args[ 0 ].substr(0, 2) === DOTSLASH ? DOTSLASH : '';
-   return prefix + joined;
-}
+const DESCRIPTOR_FILES = {
+   themes: 'theme.json',
+   layouts: 'layout.json',
+   widgets: 'widget.json',
+   controls: 'control.json'
+};
+
+const REFERRING_CATEGORIES = [ 'flows', 'themes', 'pages', 'layouts', 'widgets', 'controls' ];
+const BUILTIN_CATEGORIES = [ ...REFERRING_CATEGORIES, 'schemas' ];
+const ORPHAN_CATEGORIES = [ 'themes', 'pages', 'layouts', 'widgets', 'controls' ];
+const ITEM_CATEGORIES = {
+   composition: 'pages',
+   layout: 'layouts',
+   widget: 'widgets'
+};
 
 /**
  * Create an artifact collector instance.
@@ -52,43 +64,129 @@ function safeJoin( ...args ) {
  *
  * @param {Object} [options] additional options
  * @param {Object} [options.paths]
- *    configuration where to look for flows, pages, etc.
+ *    configuration where to look for flows, pages, etc. Each category may be configured with a list of
+ *    lookup paths that are searched in turn. The lookup path that satisfied each ref of an artifact is
+ *    recorded under its `roots` key (`null` if the ref was resolved as a module)
  * @param {Function} [options.resolve]
  *    a function resolving a given file path to something that can be read by
  *    the `readJson` function and either returning it as a `String` or asynchronously
+ * @param {Object} [options.schemes]
+ *    custom schemes for refs such as `shared:my-widget`, each with its own resolution function and an
+ *    optional fallback order (see {@link refSchemes#create}). Built-in schemes can be overridden
  * @param {Function} [options.readJson]
  *    a function accepting a file path as an argument and returning a promise
  *    that resolves to the parsed JSON contents of the file as a `Promise`
+ * @param {Function} [options.readFile]
+ *    a function accepting a file path as an argument and returning the contents of the file as a
+ *    `String`, either directly or asynchronously. If given, it is used instead of `readJson`, and each
+ *    artifact records the line and column of every JSON value under its `source` key
  * @param {Object} [options.fileContents]
- *    an object mapping file paths (as returned by `options.resolve`) to
- *    promises that resolve to the parsed JSON contents of the file (used if `readJson`
- *    is omitted)
+ *    an object mapping file paths to the contents of the file, either as JSON text or parsed JSON, or
+ *    as a promise for either. Used as an in-memory file system if `readJson` and `readFile` are
+ *    omitted: unless given, `resolve` and `listFiles` work on the keys of the object. The object may be
+ *    modified between calls to the collector, for example to reflect unsaved editor contents
+ * @param {Function} [options.listFiles]
+ *    a function accepting a directory path (as configured in `options.paths`) and returning the paths of
+ *    all files below that directory, relative to it, either as an `Array` or asynchronously.
+ *    Only required for {@link ArtifactCollector#collectOrphans}, unless `options.fileContents` is used
+ * @param {Boolean} [options.incremental]
+ *    if `true`, keep the artifacts read by the collector between calls to `collectArtifacts` so that
+ *    only files passed to {@link ArtifactCollector#invalidate} are read again (default: `false`)
+ * @param {Boolean} [options.aggregateErrors]
+ *    if `true`, `collectArtifacts` does not reject when an artifact cannot be collected, but skips it and
+ *    lists the problem under the `errors` key of the result (default: `false`)
+ * @param {String|Function} [options.nameConflicts]
+ *    how to handle artifacts of a category that have the same name, but were found at different paths:
+ *    `"error"` (default) reports the conflict as an error, listing both paths and the referring
+ *    artifacts. `"first"` and `"last"` use the artifact that was found first or last, respectively, for
+ *    all refs. A function receives the conflicting artifacts and returns the one to use
+ * @param {Array<Object>} [options.categories]
+ *    additional artifact categories to collect, after the built-in ones and in the given order. Each
+ *    category is described by an object with the following properties:
+ *    - `name`: the name of the category, used as key of the collected artifacts and of `options.paths`
+ *    - `path`: the default lookup path of the category's artifacts (overridden by `options.paths`)
+ *    - `descriptor`: the descriptor file name, if each artifact is a directory containing such a file.
+ *      Otherwise, artifacts are JSON files and the ref is the file path without `.json`
+ *    - `referencedBy`: the (built-in or previously registered) category of artifacts referencing the
+ *      category's artifacts
+ *    - `field`: the field of the referencing descriptor (or definition) listing the refs (default: `name`)
+ *    - `follow`: an optional function to complete the collected artifact, called with the artifact and
+ *      returning it, either directly or asynchronously
  *
  * @return {ArtifactCollector} the created artifact collector
  */
-export function create( options ) {
+export function create( options = {} ) {
 
    const {
-      paths,
-      resolve,
+      resolveRef,
+      readFile,
       readJson
    } = defaults( options );
 
-   const lookup = {
-      default: ( ...args ) => lookup.local( ...args )
-         .catch( () => lookup.module( ...args ) ),
-      local: ( ref, lookupPath ) => resolve( safeJoin( lookupPath, ref ) ),
-      module: resolve
+   const plugins = ( options.categories || [] ).reduce( registerCategory, {} );
+   const categories = Object.keys( plugins );
+   const paths = {
+      ...values( plugins ).reduce( ( paths, { name, path } ) => ( { ...paths, [ name ]: path } ), {} ),
+      ...defaults( options ).paths
    };
+   const descriptorFiles = values( plugins ).reduce( ( files, { name, descriptor } ) => (
+      descriptor ? { ...files, [ name ]: descriptor } : files
+   ), DESCRIPTOR_FILES );
+
+   const sources = {};
+   const roots = {};
 
-   lookup.amd = lookup.module; // backwards compatibility
+   const cache = options.incremental ? {} : null;
 
-   function resolveRef( ref, lookupPath ) {
-      const parts = ref.split( ':', 2 );
-      const path = parts.pop();
-      const scheme = parts[ 0 ] || 'default';
+   function read( file ) {
+      if( !readFile ) {
+         return readJson( file );
+      }
+      return readFile( file ).then( text => {
+         const { value, source } = parse( text, file );
+         sources[ normalize( file ) ] = source;
+         return value;
+      } );
+   }
 
-      return lookup[ scheme ]( path, lookupPath );
+   function sourceOf( file ) {
+      const source = sources[ normalize( file ) ];
+      return source ? { source } : {};
+   }
+
+   function locate( category, ref ) {
+      return resolveRef.locate( artifactFile( category, ref ), paths[ category ] )
+         .then( ({ path, root }) => {
+            roots[ normalize( path ) ] = root;
+            return path;
+         } );
+   }
+
+   function rootOf( file ) {
+      const root = roots[ normalize( file ) ];
+      return root === undefined ? null : root;
+   }
+
+   function artifactFile( category, ref ) {
+      if( category === 'themes' ) {
+         const themeRef = ref === 'default' ? paths[ 'default-theme' ] : `${ref}.theme`;
+         return join( themeRef, DESCRIPTOR_FILES.themes );
+      }
+      return descriptorFiles[ category ] ? join( ref, descriptorFiles[ category ] ) : `${ref}.json`;
+   }
+
+   function registerCategory( plugins, plugin ) {
+      const { name, referencedBy } = plugin;
+      if( BUILTIN_CATEGORIES.indexOf( name ) >= 0 || plugins[ name ] ) {
+         throw new Error( `Artifact category "${name}" is already registered` );
+      }
+      if( REFERRING_CATEGORIES.indexOf( referencedBy ) < 0 && !plugins[ referencedBy ] ) {
+         throw new Error( `Unknown artifact category "${referencedBy}" referencing "${name}"` );
+      }
+      return {
+         ...plugins,
+         [ name ]: { field: name, ...plugin }
+      };
    }
 
    /**
@@ -96,18 +194,256 @@ export function create( options ) {
     * @constructor
     */
    return {
+      invalidate,
       collectArtifacts,
+      collectOrphans,
       collectSchemas,
       collectFlows,
       collectThemes,
       collectPages,
       collectLayouts,
       collectWidgets,
-      collectControls
+      collectControls,
+      collectCategory
    };
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   /**
+    * Forget everything an incremental collector knows about the artifacts read from the given file, so
+    * that the next call to {@link ArtifactCollector#collectArtifacts} reads it again. Artifacts that
+    * (transitively) reference an invalidated artifact are reused as they are, but they are reported as
+    * affected, so that they can be validated again.
+    *
+    * Example:
+    *
+    *     collector.invalidate( 'path/to/page.json' );
+    *     // => [
+    *     //       { category: 'pages', ref: 'page', path: 'path/to/page.json' },
+    *     //       { category: 'flows', ref: 'flow', path: 'path/to/flow.json' }
+    *     //    ]
+    *
+    * @memberOf ArtifactCollector
+    * @param {String} file
+    *    the path of a changed file (as returned by `options.resolve`)
+    * @return {Array<Object>}
+    *    the `category`, `ref` and `path` of each invalidated artifact, followed by those of its dependents.
+    *    Always empty, unless the collector was created with the `incremental` option
+    */
+   function invalidate( file ) {
+      if( !cache ) {
+         return [];
+      }
+
+      const changed = [];
+      Object.keys( cache ).forEach( category => {
+         const entries = cache[ category ];
+         Object.keys( entries ).forEach( ref => {
+            const { artifacts } = entries[ ref ];
+            const matches = artifacts && artifacts
+               .map( artifact => normalize( sourceFile( artifact, descriptorFiles ) ) )
+               .some( sourcePath => sourcePath === normalize( file ) );
+
+            if( matches ) {
+               delete entries[ ref ];
+               changed.push( { category, ref, path: artifacts[ 0 ].path } );
+            }
+         } );
+      } );
+
+      return collectDependents( changed );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find all cached artifacts that (transitively) reference any of the given artifacts.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {Array<Object>} affected a list of `{ category, ref, path }` objects
+    * @return {Array<Object>} the given list, extended by all dependents
+    */
+   function collectDependents( affected ) {
+      const isNew = unique( ( { category, ref } ) => JSON.stringify( [ category, ref ] ) );
+      const queue = affected.filter( isNew );
+
+      for( let i = 0; i < queue.length; ++i ) {
+         const { category, ref } = queue[ i ];
+         Object.keys( cache ).forEach( dependentCategory => {
+            const entries = cache[ dependentCategory ];
+            Object.keys( entries ).forEach( dependentRef => {
+               const { artifacts } = entries[ dependentRef ];
+               if( !artifacts || ( artifacts[ 0 ][ category ] || [] ).indexOf( ref ) < 0 ) {
+                  return;
+               }
+               const item = { category: dependentCategory, ref: dependentRef, path: artifacts[ 0 ].path };
+               if( isNew( item ) ) {
+                  queue.push( item );
+               }
+            } );
+         } );
+      }
+
+      return queue;
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Decorate a follow function so that an incremental collector reuses its results across calls. Each
+    * caller receives a copy of the cached artifacts, as validation modifies them in place. Failures are
+    * not cached, so that missing artifacts are looked up again on the next run.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {String} category the artifact category handled by `follow`
+    * @param {Function} follow the function to decorate
+    * @return {Function} the decorated function
+    */
+   function cached( category, follow ) {
+      if( !cache ) {
+         return referencing( category, follow );
+      }
+
+      const entries = cache[ category ] || ( cache[ category ] = {} );
+
+      return ref => {
+         if( !entries[ ref ] ) {
+            const entry = entries[ ref ] = { artifacts: null };
+            entry.promise = referencing( category, follow )( ref ).then( artifacts => {
+               entry.artifacts = artifacts;
+               return artifacts;
+            }, err => {
+               if( entries[ ref ] === entry ) {
+                  delete entries[ ref ];
+               }
+               return Promise.reject( err );
+            } );
+         }
+         return entries[ ref ].promise.then( deepClone );
+      };
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Create a function that detects artifacts of the same name that were found at different paths. Such
+    * conflicts are reported as errors, unless `options.nameConflicts` picks the artifact that should be
+    * used for all refs. Without a list of errors, the returned function throws if a conflict is detected.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {String} category the category of the artifacts to check
+    * @param {Array<Object>} referencing the artifacts (and entries) referencing the checked artifacts
+    * @param {Array} [errors] the list to append `{ category, ref, path, error }` objects to
+    * @return {Function}
+    *    a function that takes a list of artifacts and returns a list where conflicting artifacts are
+    *    replaced by the chosen one (but with their own refs), ready to be deduplicated
+    */
+   function resolveConflicts( category, referencing, errors ) {
+      const policy = options.nameConflicts || 'error';
+
+      return artifacts => {
+         const pathsByName = {};
+         artifacts.forEach( ({ name, path }) => {
+            const paths = pathsByName[ name ] || ( pathsByName[ name ] = [] );
+            if( paths.indexOf( normalize( path ) ) < 0 ) {
+               paths.push( normalize( path ) );
+            }
+         } );
+
+         const chosen = {};
+         Object.keys( pathsByName )
+            .filter( name => pathsByName[ name ].length > 1 )
+            .forEach( name => {
+               const candidates = pathsByName[ name ].map( path => {
+                  const matches = artifacts.filter( artifact => normalize( artifact.path ) === path );
+                  return { ...matches[ 0 ], refs: flatten( matches.map( _ => _.refs ) ).filter( unique() ) };
+               } );
+               chosen[ name ] = choose( name, candidates, referencing.concat( artifacts ) );
+            } );
+
+         return artifacts.map( artifact => {
+            const winner = chosen[ artifact.name ];
+            return winner && normalize( winner.path ) !== normalize( artifact.path ) ?
+               { ...winner, refs: artifact.refs, roots: artifact.roots } :
+               artifact;
+         } );
+      };
+
+      function choose( name, candidates, referrers ) {
+         if( typeof policy === 'function' ) {
+            return policy( candidates ) || candidates[ 0 ];
+         }
+         if( policy === 'first' || policy === 'last' ) {
+            return candidates[ policy === 'first' ? 0 : candidates.length - 1 ];
+         }
+
+         const error = nameConflictError( category, name, candidates, referrers );
+         if( !errors ) {
+            throw error;
+         }
+         errors.push( { category, ref: name, path: candidates[ 0 ].path, error } );
+         return candidates[ 0 ];
+      }
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Decorate a follow function so that the collected artifacts list the refs of the artifacts of
+    * registered categories that they reference, under the name of the respective category.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {String} category the artifact category handled by `follow`
+    * @param {Function} follow the function to decorate
+    * @return {Function} the decorated function
+    */
+   function referencing( category, follow ) {
+      const referenced = values( plugins ).filter( ({ referencedBy }) => referencedBy === category );
+      if( !referenced.length ) {
+         return follow;
+      }
+
+      return ref => follow( ref ).then( artifacts => artifacts.map( artifact => {
+         const source = artifact.definition || artifact.descriptor || {};
+         return referenced.reduce( ( artifact, { name, field } ) => ( {
+            ...artifact,
+            [ name ]: ( source[ field ] || [] ).filter( unique() )
+         } ), artifact );
+      } ) );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Decorate a follow function so that failures are appended to the given list of errors, instead of
+    * rejecting the returned promise. Without a list of errors, the function is returned as is.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {String} category the artifact category handled by `follow`
+    * @param {Function} follow the function to decorate
+    * @param {Array} [errors] the list to append `{ category, ref, path, error }` objects to
+    * @return {Function} the decorated function
+    */
+   function tolerant( category, follow, errors ) {
+      if( !errors ) {
+         return follow;
+      }
+
+      return ref => follow( ref ).catch( error => locate( category, ref )
+         .then( file => ( descriptorFiles[ category ] ? dirname( file ) : file ), () => null )
+         .then( path => {
+            errors.push( { category, ref, path, error } );
+            return [];
+         } ) );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
    /**
     * Obtain artifact information asynchronously, starting from a set of flow definitions.
     *
@@ -137,17 +473,35 @@ export function create( options ) {
     *   flow and their required artifacts
     * @return {Promise<Object>}
     *   the artifact listing with the keys `flows`, `themes`, `pages`, `layouts`, `widgets` and `controls`,
-    *   of which each is an array of artifact objects
+    *   plus one key for each category registered with `options.categories`, of which each is an array of
+    *   artifact objects. If the collector was created with the `aggregateErrors` option, an additional
+    *   `errors` key lists all artifacts that could not be collected, each with its `category`, `ref`,
+    *   `path`, the chain of `referrers` and the `error`
     */
    function collectArtifacts( entries ) {
+      const errors = options.aggregateErrors ? [] : null;
       const add = list => entries.concat( list );
-
-      const flowsPromise = collectFlows( entries );
-      const themesPromise = collectThemes( entries );
-      const pagesPromise = flowsPromise.then( add ).then( collectPages );
-      const layoutsPromise = pagesPromise.then( add ).then( collectLayouts );
-      const widgetsPromise = pagesPromise.then( add ).then( collectWidgets );
-      const controlsPromise = widgetsPromise.then( add ).then( collectControls );
+      const withErrors = collect => list => collect( list, errors );
+
+      const flowsPromise = collectFlows( entries, errors );
+      const themesPromise = collectThemes( entries, errors );
+      const pagesPromise = flowsPromise.then( add ).then( withErrors( collectPages ) );
+      const layoutsPromise = pagesPromise.then( add ).then( withErrors( collectLayouts ) );
+      const widgetsPromise = pagesPromise.then( add ).then( withErrors( collectWidgets ) );
+      const controlsPromise = widgetsPromise.then( add ).then( withErrors( collectControls ) );
+
+      const promises = {
+         flows: flowsPromise,
+         themes: themesPromise,
+         pages: pagesPromise,
+         layouts: layoutsPromise,
+         widgets: widgetsPromise,
+         controls: controlsPromise
+      };
+      categories.forEach( category => {
+         const collect = list => collectCategory( category, list, errors );
+         promises[ category ] = promises[ plugins[ category ].referencedBy ].then( add ).then( collect );
+      } );
 
       return Promise.all( [
          flowsPromise,
@@ -155,23 +509,167 @@ export function create( options ) {
          pagesPromise,
          layoutsPromise,
          widgetsPromise,
-         controlsPromise
-      ] ).then( artifacts => {
+         controlsPromise,
+         Promise.all( categories.map( category => promises[ category ] ) )
+      ] ).then( ( [ flows, themes, pages, layouts, widgets, controls, registered ] ) => {
+         const artifacts = [ flows, themes, pages, layouts, widgets, controls, ...registered ];
          const entries = add( flatten( artifacts ) );
 
-         return collectSchemas( entries )
-            .then( schemas => artifacts.concat( [ schemas ] ) );
+         return collectSchemas( entries, errors )
+            .then( schemas => ( {
+               flows,
+               themes,
+               pages,
+               layouts,
+               widgets,
+               controls,
+               schemas,
+               ...categories.reduce( ( result, category, index ) => ( {
+                  ...result,
+                  [ category ]: registered[ index ]
+               } ), {} ),
+               entries
+            } ) );
       } )
-      .then( ( [ flows, themes, pages, layouts, widgets, controls, schemas ] ) => ( {
-         flows,
-         themes,
-         pages,
-         layouts,
-         widgets,
-         controls,
-         schemas,
-         entries
-      } ) );
+      .then( artifacts => {
+         if( !errors ) {
+            return artifacts;
+         }
+         const graph = createGraph( artifacts );
+         return {
+            ...artifacts,
+            errors: errors.map( error => artifactError( graph, error ) )
+         };
+      } );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find artifacts in the application directories that are not reachable from the given entries.
+    * The directories configured for `themes`, `pages`, `layouts`, `widgets`, `controls` and for the
+    * registered categories are listed using `options.listFiles`. Each artifact that is not part of the
+    * artifacts collected for the entries is reported with a `reason`: `"disabled"` if it is referenced
+    * only by disabled items of the reachable pages (directly or through a disabled composition),
+    * `"unreferenced"` otherwise.
+    *
+    * Example:
+    *
+    *     collector.collectOrphans( [ { flows: [ "flow" ], themes: [ "my", "default"  ] } ] )
+    *        .then( orphans => {
+    *           assert( Array.isArray( orphans ) );
+    *        } );
+    *     // => [ {
+    *     //       category: 'widgets',
+    *     //       ref: 'old-widget',
+    *     //       path: 'path/to/old-widget',
+    *     //       reason: 'unreferenced'
+    *     //    }, ... ]
+    *
+    * @memberOf ArtifactCollector
+    * @param {Array<Object>} entries
+    *   a list of entries containing themes and flows, as passed to
+    *   {@link ArtifactCollector#collectArtifacts}
+    * @return {Promise<Array>}
+    *   a promise for a list of orphaned artifacts, each with a `category`, `ref`, `path` and `reason`
+    */
+   function collectOrphans( entries ) {
+      const orphanCategories = ORPHAN_CATEGORIES.concat( categories );
+
+      return Promise.resolve()
+         .then( () => defaults( options ).listFiles )
+         .then( listFiles => Promise.all( [
+            collectArtifacts( entries ).then( artifacts => Promise.all( [
+               sourceFiles( artifacts ),
+               collectDisabled( artifacts.pages ).then( sourceFiles )
+            ] ) ),
+            Promise.all( orphanCategories.map( category => listArtifacts( listFiles, category ) ) )
+               .then( flatten )
+         ] ) )
+         .then( ( [ [ reached, disabled ], candidates ] ) => candidates
+            .filter( candidate => !reached[ normalize( sourceFile( candidate, descriptorFiles ) ) ] )
+            .map( candidate => ( {
+               ...candidate,
+               reason: disabled[ normalize( sourceFile( candidate, descriptorFiles ) ) ] ?
+                  'disabled' :
+                  'unreferenced'
+            } ) ) );
+
+      function sourceFiles( artifacts ) {
+         const files = {};
+         orphanCategories.forEach( category => {
+            ( artifacts[ category ] || [] ).forEach( artifact => {
+               files[ normalize( sourceFile( artifact, descriptorFiles ) ) ] = true;
+            } );
+         } );
+         return files;
+      }
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Collect the artifacts that are referenced by the disabled items of the given pages. Each ref is
+    * followed on its own, ignoring those that cannot be collected: disabled items may well refer to
+    * artifacts that do not exist (anymore).
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {Array<Object>} pages the page artifacts to inspect
+    * @return {Promise<Object>} a promise for the merged artifacts, by category
+    */
+   function collectDisabled( pages ) {
+      const items = flatten( pages.map( ({ definition }) => flatten( values( definition.areas || {} ) ) ) );
+      const disabledEntries = flatten( items
+         .filter( item => item.enabled === false )
+         .map( item => Object.keys( ITEM_CATEGORIES )
+            .filter( field => item.hasOwnProperty( field ) )
+            .map( field => ( { [ ITEM_CATEGORIES[ field ] ]: [ item[ field ] ] } ) ) ) );
+
+      const collectEntry = entry => collectArtifacts( [ entry ] ).catch( () => ( {} ) );
+
+      return Promise.all( disabledEntries.map( collectEntry ) )
+         .then( results => {
+            const artifacts = {};
+            results.forEach( result => {
+               ORPHAN_CATEGORIES.concat( categories ).forEach( category => {
+                  artifacts[ category ] = ( artifacts[ category ] || [] ).concat( result[ category ] || [] );
+               } );
+            } );
+            return artifacts;
+         } );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * List all artifacts of one category that exist below the configured lookup path(s). Artifacts that
+    * are shadowed by an artifact with the same ref in an earlier lookup path are listed as well.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {Function} listFiles a function listing the files of a directory
+    * @param {String} category the artifact category to list
+    * @return {Promise<Array>} a promise for a list of `{ category, ref, path }` objects
+    */
+   function listArtifacts( listFiles, category ) {
+      return Promise.all( [].concat( paths[ category ] ).map( lookupPath => listFiles( lookupPath )
+         .then( files => files, () => [] )
+         .then( files => Promise.all( files
+            .map( file => file.split( '\\' ).join( '/' ) )
+            .filter( file => artifactRef( category, file, descriptorFiles ) !== null )
+            .map( file => listedArtifact( category, file, lookupPath ) ) ) ) ) )
+         .then( flatten )
+         .then( candidates => candidates.filter( candidate => candidate !== null ) );
+   }
+
+   function listedArtifact( category, file, lookupPath ) {
+      return resolveRef( `local:${file}`, lookupPath )
+         .then( path => ( {
+            category,
+            ref: artifactRef( category, file, descriptorFiles ),
+            path: descriptorFiles[ category ] ? dirname( path ) : path
+         } ), () => null );
    }
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -195,15 +693,21 @@ export function create( options ) {
     *
     * @memberOf ArtifactCollector
     * @param {Array} entries a list of entry objects containing a schemas key
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *    a promise for an array of schema-meta objects
     */
-   function collectSchemas( entries ) {
-      const followSchemaOnce = promiseOnce( followSchema );
+   function collectSchemas( entries, errors ) {
+      const followSchemaOnce = promiseOnce(
+         tolerant( 'schemas', cached( 'schemas', followSchema ), errors )
+      );
       const followEntryToSchemas = followEntryRefs( 'schemas', followSchemaOnce );
 
       return Promise.all( entries.map( followEntryToSchemas ) )
          .then( flatten )
+         .then( resolveConflicts( 'schemas', entries, errors ) )
          .then( dedupe );
    }
 
@@ -220,15 +724,17 @@ export function create( options ) {
    function followSchema( schemaRef ) {
       const name = basename( schemaRef );
 
-      return resolveRef( schemaRef + '.json', paths.schemas )
-         .then( path => readJson( path ).then( schema => {
+      return locate( 'schemas', schemaRef )
+         .then( path => read( path ).then( schema => {
             return [ {
                refs: [ schemaRef ],
+               roots: { [ schemaRef ]: rootOf( path ) },
                name,
                path,
                definition: schema,
                descriptor: { name },
-               category: 'schemas'
+               category: 'schemas',
+               ...sourceOf( path )
             } ];
          } ) );
    }
@@ -254,15 +760,21 @@ export function create( options ) {
     *
     * @memberOf ArtifactCollector
     * @param {Array} entries a list of entry objects containing a flows key
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *    a promise for an array of flow-meta objects
     */
-   function collectFlows( entries ) {
-      const followFlowOnce = promiseOnce( followFlow );
+   function collectFlows( entries, errors ) {
+      const followFlowOnce = promiseOnce(
+         tolerant( 'flows', cached( 'flows', followFlow ), errors )
+      );
       const followEntryToFlows = followEntryRefs( 'flows', followFlowOnce );
 
       return Promise.all( entries.map( followEntryToFlows ) )
          .then( flatten )
+         .then( resolveConflicts( 'flows', entries, errors ) )
          .then( dedupe );
    }
 
@@ -279,8 +791,8 @@ export function create( options ) {
    function followFlow( flowRef ) {
       const name = basename( flowRef );
 
-      return resolveRef( flowRef + '.json', paths.flows )
-         .then( path => readJson( path ).then( flow => {
+      return locate( 'flows', flowRef )
+         .then( path => read( path ).then( flow => {
             const pages = values( flow.places )
                .filter( hasField( 'page' ) )
                .map( getField( 'page' ) )
@@ -288,12 +800,14 @@ export function create( options ) {
 
             return [ {
                refs: [ flowRef ],
+               roots: { [ flowRef ]: rootOf( path ) },
                name,
                path,
                definition: flow,
                descriptor: { name },
                category: 'flows',
                schemas: [ 'flow' ],
+               ...sourceOf( path ),
 
                pages
             } ];
@@ -323,17 +837,42 @@ export function create( options ) {
     *
     * @memberOf ArtifactCollector
     * @param {Array<Object>} entries
-    *   a list of entries with themes to include in the artifacts
+    *   a list of entries with themes to include in the artifacts, along with the themes they extend
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *   a promise for an array of meta-information about all themes
     */
-   function collectThemes( entries ) {
-      const followThemeOnce = promiseOnce( followTheme );
+   function collectThemes( entries, errors ) {
+      const followThemeCached = cached( 'themes', followTheme );
+      const followThemeOnce = promiseOnce( tolerant( 'themes', followThemeRecursively, errors ) );
       const followEntryToThemes = followEntryRefs( 'themes', followThemeOnce );
+      const followThemeToThemes = followEntryToThemes;
 
       return Promise.all( entries.map( followEntryToThemes ) )
          .then( flatten )
+         .then( resolveConflicts( 'themes', entries, errors ) )
          .then( dedupe );
+
+      ///////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      /**
+       * Collect meta information about the given theme, and about the themes it extends, recursively.
+       * Skip collection if the theme has already been processed (returning an empty result array).
+       *
+       * @private
+       * @param {String} themeRef the theme reference (relative to `paths.themes`) to follow
+       * @return {Promise<Array>}
+       *    a promise for an array of theme-meta objects for this theme, followed by its parent themes
+       */
+      function followThemeRecursively( themeRef ) {
+         return followThemeCached( themeRef )
+            .then( themes => Promise.all(
+               [ Promise.resolve( themes ) ].concat( themes.map( followThemeToThemes ) )
+            ) )
+            .then( flatten );
+      }
    }
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -341,7 +880,8 @@ export function create( options ) {
    /**
     * Collect meta information about the single theme. If the theme is the default theme, and a custom
     * path was configured with `paths[ 'default-theme' ]` resolve the theme at the given path; otherwise
-    * treat it like any other theme.
+    * treat it like any other theme. A theme may name the theme that it is a variation of using the
+    * `extends` property of its descriptor, which is listed as its parent under the `themes` key.
     *
     * @private
     * @memberOf ArtifactCollector
@@ -349,23 +889,25 @@ export function create( options ) {
     * @return {Promise<Array>} a promise for an array with a single theme-meta object
     */
    function followTheme( themeRef ) {
-      const lookupRef = themeRef === 'default' ? paths[ 'default-theme' ] : `${themeRef}.theme`;
-
-      return resolveRef( join( lookupRef, 'theme.json' ), paths.themes )
-         .then( descriptorPath => readJson( descriptorPath ).then( theme => {
+      return locate( 'themes', themeRef )
+         .then( descriptorPath => read( descriptorPath ).then( theme => {
             const path = dirname( descriptorPath );
             const name = theme.name;
             if( !name ) {
-               return Promise.reject( 'Theme descriptor is missing name: ', path );
+               return Promise.reject( new Error( `Theme descriptor is missing name: ${path}` ) );
             }
 
             return [ {
                refs: [ themeRef ],
+               roots: { [ themeRef ]: rootOf( descriptorPath ) },
                name,
                path,
                descriptor: theme,
                category: 'themes',
-               schemas: [ 'theme' ]
+               schemas: [ 'theme' ],
+               ...sourceOf( descriptorPath ),
+
+               themes: theme.extends ? [ theme.extends ] : []
             } ];
          } ) );
    }
@@ -393,16 +935,21 @@ export function create( options ) {
     * @memberOf ArtifactCollector
     * @param {Array<String>} flows
     *    a list of flow artifacts as returned by {@link ArtifactCollector#collectFlows}
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *   a promise for a combined array of page meta information for these flows
     */
-   function collectPages( flows ) {
-      const followPageOnce = promiseOnce( followPageRecursively );
+   function collectPages( flows, errors ) {
+      const followPageCached = cached( 'pages', followPage );
+      const followPageOnce = promiseOnce( tolerant( 'pages', followPageRecursively, errors ) );
       const followFlowToPages = followEntryRefs( 'pages', followPageOnce );
       const followPageToPages = followFlowToPages;
 
       return Promise.all( flows.map( followFlowToPages ) )
          .then( flatten )
+         .then( resolveConflicts( 'pages', flows, errors ) )
          .then( dedupe );
 
       ///////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -417,7 +964,7 @@ export function create( options ) {
        *    a promise for an array of page-meta objects for this page, including the page itself
        */
       function followPageRecursively( pageRef ) {
-         return followPage( pageRef )
+         return followPageCached( pageRef )
             .then( pages => Promise.all(
                [ Promise.resolve( pages ) ].concat( pages.map( followPageToPages ) )
             ) )
@@ -438,15 +985,16 @@ export function create( options ) {
    function followPage( pageRef ) {
       const name = basename( pageRef );
 
-      return resolveRef( pageRef + '.json', paths.pages )
-         .then( path => readJson( path ).then( page => {
+      return locate( 'pages', pageRef )
+         .then( path => read( path ).then( page => {
             const items = flatten( values( page.areas ) )
                .filter( item => item.enabled !== false );
 
             const pages = items
                .filter( hasField( 'composition' ) )
                .map( getField( 'composition' ) )
-               .concat( page.extends ? [ page.extends ] : [] );
+               .concat( page.extends ? [ page.extends ] : [] )
+               .concat( page.mixins || [] );
 
             const layouts = items
                .filter( hasField( 'layout' ) )
@@ -461,12 +1009,14 @@ export function create( options ) {
 
             return [ {
                refs: [ pageRef ],
+               roots: { [ pageRef ]: rootOf( path ) },
                path,
                name,
                definition: page,
                descriptor: { name },
                category: 'pages',
                schemas: [ 'page' ],
+               ...sourceOf( path ),
 
                pages,
                widgets,
@@ -495,15 +1045,21 @@ export function create( options ) {
     * @memberOf ArtifactCollector
     * @param {Array} pages
     *    a list of page artifacts as returned by {@link ArtifactCollector#collectPages}
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *   a promise for an array of meta-information about all layouts
     */
-   function collectLayouts( pages ) {
-      const followLayoutOnce = promiseOnce( followLayout );
+   function collectLayouts( pages, errors ) {
+      const followLayoutOnce = promiseOnce(
+         tolerant( 'layouts', cached( 'layouts', followLayout ), errors )
+      );
       const followPageToLayouts = followEntryRefs( 'layouts', followLayoutOnce );
 
       return Promise.all( pages.map( followPageToLayouts ) )
          .then( flatten )
+         .then( resolveConflicts( 'layouts', pages, errors ) )
          .then( dedupe );
    }
 
@@ -518,18 +1074,20 @@ export function create( options ) {
     * @return {Promise<Array>} a promise for an array containing meta-formation about a single layout
     */
    function followLayout( layoutRef ) {
-      return resolveRef( join( layoutRef, 'layout.json' ), paths.layouts )
-         .then( descriptorPath => readJson( descriptorPath ).then( layout => {
+      return locate( 'layouts', layoutRef )
+         .then( descriptorPath => read( descriptorPath ).then( layout => {
             const path = dirname( descriptorPath );
             const name = layout.name;
 
             return [ {
                refs: [ layoutRef ],
+               roots: { [ layoutRef ]: rootOf( descriptorPath ) },
                name,
                path,
                descriptor: layout,
                category: 'layouts',
-               schemas: [ 'layout' ]
+               schemas: [ 'layout' ],
+               ...sourceOf( descriptorPath )
             } ];
          } ) );
    }
@@ -555,15 +1113,21 @@ export function create( options ) {
     * @memberOf ArtifactCollector
     * @param {Array} pages
     *    a list of page artifacts as returned by {@link ArtifactCollector#collectPages}
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *   a promise for an array of meta-information about all reachable widgets
     */
-   function collectWidgets( pages ) {
-      const followWidgetOnce = promiseOnce( followWidget );
+   function collectWidgets( pages, errors ) {
+      const followWidgetOnce = promiseOnce(
+         tolerant( 'widgets', cached( 'widgets', followWidget ), errors )
+      );
       const followPageToWidgets = followEntryRefs( 'widgets', followWidgetOnce );
 
       return Promise.all( pages.map( followPageToWidgets ) )
          .then( flatten )
+         .then( resolveConflicts( 'widgets', pages, errors ) )
          .then( dedupe );
    }
 
@@ -578,22 +1142,24 @@ export function create( options ) {
     * @return {Promise<Array>} a promise for an array containing meta-formation about a single widget
     */
    function followWidget( widgetRef ) {
-      return resolveRef( join( widgetRef, 'widget.json' ), paths.widgets )
-         .then( descriptorPath => readJson( descriptorPath ).then( widget => {
+      return locate( 'widgets', widgetRef )
+         .then( descriptorPath => read( descriptorPath ).then( widget => {
             const path = dirname( descriptorPath );
             const name = widget.name;
             if( !name ) {
-               return Promise.reject( 'Widget descriptor is missing name: ', path );
+               return Promise.reject( new Error( `Widget descriptor is missing name: ${path}` ) );
             }
             const controls = widget.controls;
 
             return [ {
                refs: [ widgetRef ],
+               roots: { [ widgetRef ]: rootOf( descriptorPath ) },
                name,
                path,
                descriptor: widget,
                category: 'widgets',
                schemas: [ 'widget' ],
+               ...sourceOf( descriptorPath ),
 
                controls
             } ];
@@ -621,16 +1187,21 @@ export function create( options ) {
     * @memberOf ArtifactCollector
     * @param {Array} widgets
     *    a list of widget artifacts as returned by {@link ArtifactCollector#collectWidgets}
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
     * @return {Promise<Array>}
     *   a promise for an array of meta-information about all reachable controls
     */
-   function collectControls( widgets ) {
-      const followControlOnce = promiseOnce( followControlRecursively );
+   function collectControls( widgets, errors ) {
+      const followControlCached = cached( 'controls', followControl );
+      const followControlOnce = promiseOnce( tolerant( 'controls', followControlRecursively, errors ) );
       const followWidgetToControls = followEntryRefs( 'controls', followControlOnce );
       const followControlToControls = followWidgetToControls;
 
       return Promise.all( widgets.map( followWidgetToControls ) )
          .then( flatten )
+         .then( resolveConflicts( 'controls', widgets, errors ) )
          .then( dedupe );
 
       ///////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -645,7 +1216,7 @@ export function create( options ) {
        *    a promise for an array of control-meta objects for this control, including the control itself
        */
       function followControlRecursively( controlRef ) {
-         return followControl( controlRef )
+         return followControlCached( controlRef )
             .then( controls => Promise.all(
                [ Promise.resolve( controls ) ].concat( controls.map( followControlToControls ) )
             ) )
@@ -664,32 +1235,150 @@ export function create( options ) {
     * @return {Promise<Array>} a promise for an array containing meta-formation about a single control
     */
    function followControl( controlRef ) {
-      return resolveRef( join( controlRef, 'control.json' ), paths.controls )
-         .then( descriptorPath => readJson( descriptorPath ).then( control => {
+      return locate( 'controls', controlRef )
+         .then( descriptorPath => read( descriptorPath ).then( control => {
             const path = dirname( descriptorPath );
             const name = control.name;
             const controls = control.controls;
             if( !name ) {
-               return Promise.reject( 'Control descriptor is missing name: ', path );
+               return Promise.reject( new Error( `Control descriptor is missing name: ${path}` ) );
             }
 
             return [ {
                refs: [ controlRef ],
+               roots: { [ controlRef ]: rootOf( descriptorPath ) },
                name,
                path,
                descriptor: control,
                category: 'controls',
                schemas: [ 'control' ],
+               ...sourceOf( descriptorPath ),
 
                controls
             } ];
          } ) );
    }
 
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Collect meta information on all artifacts of a category registered with `options.categories`,
+    * that are referenced by the given artifacts.
+    *
+    * Example:
+    *
+    *     collector.collectCategory( 'mocks', widgets )
+    *        .then( mocks => {
+    *           assert( Array.isArray( mocks ) );
+    *        } );
+    *     // => [ {
+    *     //       refs: [ 'mock' ],
+    *     //       name: 'mock',
+    *     //       path: 'path/to/mock'
+    *     //    }, ... ]
+    *
+    * @memberOf ArtifactCollector
+    * @param {String} category
+    *    the name of a registered category
+    * @param {Array} artifacts
+    *    a list of artifacts of the referencing category, or of entries listing refs under the category name
+    * @param {Array} [errors]
+    *    if given, artifacts that cannot be collected are skipped and reported by appending them to this
+    *    list, instead of rejecting the returned promise
+    * @return {Promise<Array>}
+    *   a promise for an array of meta-information about all reachable artifacts of the category
+    */
+   function collectCategory( category, artifacts, errors ) {
+      if( !plugins[ category ] ) {
+         return Promise.reject( new Error( `Unknown artifact category "${category}"` ) );
+      }
+
+      const followOnce = promiseOnce(
+         tolerant( category, cached( category, ref => followCategory( category, ref ) ), errors )
+      );
+      const followArtifactRefs = followEntryRefs( category, followOnce );
+
+      return Promise.all( artifacts.map( followArtifactRefs ) )
+         .then( flatten )
+         .then( resolveConflicts( category, artifacts, errors ) )
+         .then( dedupe );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Collect meta information about a single artifact of a registered category. Artifacts with a
+    * descriptor file are named after their descriptor, others after their ref.
+    *
+    * @private
+    * @memberOf ArtifactCollector
+    * @param {String} category the name of the registered category
+    * @param {String} ref the artifact reference (relative to the category's lookup path) to follow
+    * @return {Promise<Array>} a promise for an array containing meta-information about a single artifact
+    */
+   function followCategory( category, ref ) {
+      const { descriptor, follow } = plugins[ category ];
+
+      return locate( category, ref )
+         .then( file => read( file ).then( contents => {
+            const path = descriptor ? dirname( file ) : file;
+            const name = ( descriptor && contents.name ) || basename( ref );
+
+            const artifact = {
+               refs: [ ref ],
+               roots: { [ ref ]: rootOf( file ) },
+               name,
+               path,
+               ...( descriptor ? { descriptor: contents } : { definition: contents, descriptor: { name } } ),
+               category,
+               schemas: [],
+               ...sourceOf( file )
+            };
+
+            return Promise.resolve( follow ? follow( artifact ) : artifact )
+               .then( artifact => [ artifact ] );
+         } ) );
+   }
+
 }
 
 /////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Determine the file that an artifact was read from.
+ *
+ * @private
+ * @param {Object} artifact an artifact as created by the collector
+ * @param {Object} [descriptorFiles] the descriptor file names, by category
+ * @return {String} the path of the artifact's descriptor or definition file
+ */
+function sourceFile( { category, path }, descriptorFiles = DESCRIPTOR_FILES ) {
+   return descriptorFiles[ category ] ? join( path, descriptorFiles[ category ] ) : path;
+}
+
+/**
+ * Determine the ref of an artifact from the path of its descriptor or definition file, relative to the
+ * lookup path of the respective category.
+ *
+ * @private
+ * @param {String} category the artifact category
+ * @param {String} file the file path, using forward slashes
+ * @param {Object} [descriptorFiles] the descriptor file names, by category
+ * @return {String} the ref of the artifact, or `null` if the file does not define an artifact
+ */
+function artifactRef( category, file, descriptorFiles = DESCRIPTOR_FILES ) {
+   if( category === 'themes' ) {
+      const match = /^(.+)\.theme\/theme\.json$/.exec( file );
+      return match ? match[ 1 ] : null;
+   }
+   if( !descriptorFiles[ category ] ) {
+      return /\.json$/.test( file ) ? file.replace( /\.json$/, '' ) : null;
+   }
+
+   const directory = dirname( file );
+   return basename( file ) === descriptorFiles[ category ] && directory !== '.' ? directory : null;
+}
+
 /**
  * Decorate a function so that each input is processed only once.
  * The function should take a string and return a promise for an array.
@@ -733,18 +1422,48 @@ function getField( field ) {
    };
 }
 
+/**
+ * Create an error describing artifacts of the same name found at different paths.
+ *
+ * @private
+ * @param {String} category the category of the conflicting artifacts
+ * @param {String} name the common name of the conflicting artifacts
+ * @param {Array<Object>} candidates the conflicting artifacts, one per path
+ * @param {Array<Object>} referrers artifacts and entries that may reference the conflicting artifacts
+ * @return {Error} the error, listing the `paths` of the conflicting artifacts
+ */
+function nameConflictError( category, name, candidates, referrers ) {
+   const describe = ({ category = 'entries', name }) => ( name ? `${category}/${name}` : category );
+   const locations = candidates.map( ({ path, refs }) => {
+      const referencing = referrers
+         .filter( referrer => ( referrer[ category ] || [] ).some( ref => refs.indexOf( ref ) >= 0 ) )
+         .map( describe )
+         .filter( unique() );
+      return `${path} (referenced by ${referencing.join( ', ' ) || 'nothing'})`;
+   } );
+
+   const error = new Error( `Conflicting ${category} named "${name}": ${locations.join( ', ' )}` );
+   error.paths = candidates.map( ({ path }) => path );
+   return error;
+}
+
 function dedupe( entries ) {
    const refs = entries.reduce( ( map, { name, refs } ) => ( {
       ...map,
       [ name ]: map[ name ] ? map[ name ].concat( refs ) : refs
    } ), {} );
+   const roots = entries.reduce( ( map, { name, roots } ) => ( {
+      ...map,
+      [ name ]: { ...roots, ...map[ name ] }
+   } ), {} );
 
    return entries
       .filter( unique( 'name' ) )
       .map( ( { name, ...entry } ) => ( {
          ...entry,
          name,
-         refs: refs[ name ].filter( unique )
+         refs: refs[ name ].filter( unique ),
+         roots: roots[ name ]
       } ) );
 }
 
@@ -752,7 +1471,7 @@ function dedupe( entries ) {
 
 function unique( field ) {
    const seen = {};
-   const id = field ? value => value[ field ] : value => value;
+   const id = typeof field === 'function' ? field : value => ( field ? value[ field ] : value );
 
    return value => {
       const key = id( value );
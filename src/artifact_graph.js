@@ -0,0 +1,239 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Query the references between collected artifacts in both directions.
+ * @module artifactGraph
+ */
+'use strict';
+
+import { flatten } from './utils';
+
+export default { create };
+
+const NON_ARTIFACT_KEYS = [ 'entries', 'errors' ];
+
+/**
+ * Create an artifact graph from the artifacts returned by the {@link ArtifactCollector}.
+ *
+ * Each artifact lists the refs of the artifacts it depends upon under the name of their category (for
+ * example, pages list `widgets`, `layouts` and `pages`, widgets list `controls`). These lists are the
+ * edges of the graph. Refs are matched against the `name` and the `refs` of the artifacts in the
+ * respective category.
+ *
+ * Example:
+ *
+ *     collector.collectArtifacts( entries )
+ *        .then( artifacts => laxarTooling.artifactGraph.create( artifacts ) )
+ *        .then( graph => {
+ *           graph.dependentsOf( 'my-widget', 'widgets' );
+ *           // => [ { category: 'pages', name: 'my-page', ... } ]
+ *           graph.transitiveDependentsOf( 'my-widget', 'widgets' );
+ *           // => [ { category: 'pages', name: 'my-page', ... }, { category: 'flows', name: 'main', ... } ]
+ *        } );
+ *
+ * @param {Object} artifacts
+ *    artifacts collected by the {@link ArtifactCollector}
+ * @return {ArtifactGraph} the created artifact graph
+ */
+export function create( artifacts ) {
+
+   const categories = Object.keys( artifacts )
+      .filter( category => NON_ARTIFACT_KEYS.indexOf( category ) < 0 )
+      .filter( category => Array.isArray( artifacts[ category ] ) );
+
+   const aliases = {};
+   categories.forEach( category => {
+      const table = aliases[ category ] = {};
+      artifacts[ category ].forEach( artifact => {
+         [ artifact.name, ...artifact.refs ].forEach( ref => {
+            table[ ref ] = artifact;
+         } );
+      } );
+   } );
+
+   const all = flatten( categories.map( category => artifacts[ category ] ) );
+   const dependencies = new Map( all.map( artifact => [ artifact, findDependencies( artifact ) ] ) );
+   const dependents = new Map( all.map( artifact => [ artifact, [] ] ) );
+   all.forEach( artifact => {
+      dependencies.get( artifact ).forEach( dependency => {
+         dependents.get( dependency ).push( artifact );
+      } );
+   } );
+
+   /**
+    * @name ArtifactGraph
+    * @constructor
+    */
+   return {
+      lookup,
+      dependenciesOf,
+      dependentsOf,
+      transitiveDependenciesOf,
+      transitiveDependentsOf,
+      referrerChainOf
+   };
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find the artifacts matching the given ref.
+    *
+    * @memberOf ArtifactGraph
+    * @param {String|Object} ref
+    *    the name or ref of an artifact, or the artifact itself
+    * @param {String} [category]
+    *    the category to search for `ref`. If omitted, all categories are searched
+    * @return {Array<Object>} the matching artifacts (usually only one)
+    */
+   function lookup( ref, category ) {
+      if( typeof ref === 'object' ) {
+         return dependencies.has( ref ) ? [ ref ] : [];
+      }
+      return ( category ? [ category ] : categories )
+         .filter( category => aliases[ category ] && aliases[ category ][ ref ] )
+         .map( category => aliases[ category ][ ref ] );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find the artifacts directly referenced by the given artifact.
+    *
+    * @memberOf ArtifactGraph
+    * @param {String|Object} ref
+    *    the name or ref of an artifact, or the artifact itself
+    * @param {String} [category]
+    *    the category to search for `ref`. If omitted, all categories are searched
+    * @return {Array<Object>} the artifacts that the given artifact depends upon
+    */
+   function dependenciesOf( ref, category ) {
+      return collect( lookup( ref, category ), dependencies, false );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find the artifacts directly referencing the given artifact.
+    *
+    * @memberOf ArtifactGraph
+    * @param {String|Object} ref
+    *    the name or ref of an artifact, or the artifact itself
+    * @param {String} [category]
+    *    the category to search for `ref`. If omitted, all categories are searched
+    * @return {Array<Object>} the artifacts that depend upon the given artifact
+    */
+   function dependentsOf( ref, category ) {
+      return collect( lookup( ref, category ), dependents, false );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find all artifacts that are referenced by the given artifact, directly or indirectly.
+    *
+    * @memberOf ArtifactGraph
+    * @param {String|Object} ref
+    *    the name or ref of an artifact, or the artifact itself
+    * @param {String} [category]
+    *    the category to search for `ref`. If omitted, all categories are searched
+    * @return {Array<Object>} the artifacts that the given artifact depends upon, in breadth-first order
+    */
+   function transitiveDependenciesOf( ref, category ) {
+      return collect( lookup( ref, category ), dependencies, true );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find all artifacts that reference the given artifact, directly or indirectly.
+    *
+    * @memberOf ArtifactGraph
+    * @param {String|Object} ref
+    *    the name or ref of an artifact, or the artifact itself
+    * @param {String} [category]
+    *    the category to search for `ref`. If omitted, all categories are searched
+    * @return {Array<Object>} the artifacts that depend upon the given artifact, in breadth-first order
+    */
+   function transitiveDependentsOf( ref, category ) {
+      return collect( lookup( ref, category ), dependents, true );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Find one chain of artifacts through which the given ref is reached, starting with the artifact that
+    * is farthest away. The ref does not need to belong to an artifact of the graph, so this also explains
+    * where an artifact that could not be collected was referenced.
+    *
+    * @memberOf ArtifactGraph
+    * @param {String} ref
+    *    the ref of an artifact, as used by the referencing artifacts
+    * @param {String} category
+    *    the category of the referenced artifact
+    * @return {Array<Object>} the chain of referencing artifacts (empty if `ref` is not referenced at all)
+    */
+   function referrerChainOf( ref, category ) {
+      const chain = [];
+      let referrer = all.find( artifact => ( artifact[ category ] || [] ).indexOf( ref ) >= 0 );
+
+      while( referrer ) {
+         chain.unshift( referrer );
+         referrer = dependents.get( referrer ).find( artifact => chain.indexOf( artifact ) < 0 );
+      }
+
+      return chain;
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Determine the artifacts referenced by the given artifact.
+    *
+    * @private
+    * @memberOf ArtifactGraph
+    * @param {Object} artifact the artifact to inspect
+    * @return {Array<Object>} the referenced artifacts, in the order of the categories
+    */
+   function findDependencies( artifact ) {
+      return flatten( categories.map( category => ( artifact[ category ] || [] )
+         .filter( ref => aliases[ category ][ ref ] )
+         .map( ref => aliases[ category ][ ref ] ) ) )
+         .filter( ( dependency, index, list ) => list.indexOf( dependency ) === index );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Follow the given edges starting from a list of artifacts.
+    *
+    * @private
+    * @memberOf ArtifactGraph
+    * @param {Array<Object>} start the artifacts to start from
+    * @param {Map} edges a map from artifacts to adjacent artifacts
+    * @param {Boolean} transitive if `false`, only follow the edges of the start artifacts
+    * @return {Array<Object>} the reached artifacts, excluding the start artifacts
+    */
+   function collect( start, edges, transitive ) {
+      const seen = new Set( start );
+      const queue = [ ...start ];
+      const result = [];
+
+      while( queue.length ) {
+         edges.get( queue.shift() ).forEach( artifact => {
+            if( seen.has( artifact ) ) {
+               return;
+            }
+            seen.add( artifact );
+            result.push( artifact );
+            if( transitive ) {
+               queue.push( artifact );
+            }
+         } );
+      }
+
+      return result;
+   }
+}
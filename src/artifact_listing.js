@@ -11,6 +11,11 @@
 import { wrap } from './promise';
 import { merge } from './utils';
 import { buildAliases } from './aliases';
+import { splitArtifacts, chunkPageRefs } from './artifact_chunks';
+import { importRef } from './serialize_module';
+import { withSource } from './source_locations';
+import { themeChain } from './asset_resolver';
+import { sourceOf } from './page_assembler';
 import defaults from './defaults';
 
 /**
@@ -39,6 +44,10 @@ function defaultAssets( { name, category, descriptor } ) {
 
 export default { create };
 
+const NON_LISTED_KEYS = [
+   'flows', 'themes', 'pages', 'layouts', 'widgets', 'controls', 'schemas', 'entries', 'errors'
+];
+
 /**
  * Create an artifact listing instance.
  *
@@ -63,11 +72,24 @@ export default { create };
  * @param {Function} [options.resolve]
  *    a function resolving a given file path to something that can be read by
  *    the `readJson` function and either returning it as a `String` or asynchronously
+ * @param {Object} [options.schemes]
+ *    custom ref schemes for asset paths, see {@link refSchemes#create}
+ * @param {Object} [options.fileContents]
+ *    an in-memory map of file paths to file contents. If `resolve` is omitted, assets are resolved
+ *    only if their paths are contained in the map
  * @param {Function} [options.assetResolver]
  *    override the default asset resolver created with the `resolve` callback
  * @param {Function} [options.requireFile]
  *    a callback that is called for descriptors, definitions, modules and
  *    assets, to inject content into the output
+ * @param {String} [options.format]
+ *    the module format used by the default `requireFile` callback: `"commonjs"` (default) to inject
+ *    `require` calls, or `"esm"` to inject module references that are turned into `import` declarations
+ *    by {@link serializeModule}
+ * @param {Boolean} [options.allThemes]
+ *    if `true`, the themed assets are resolved and listed for every collected theme, so that the theme
+ *    can be switched at runtime. Each theme falls back to the themes it extends and then to the default
+ *    theme. Otherwise, only the first theme is listed (default: `false`)
  *
  * @return {ArtifactListing} the created artifact listing builder
  */
@@ -77,9 +99,11 @@ export function create( options ) {
       assetResolver
    } = defaults( options );
 
+   const allThemes = !!options.allThemes;
    const requireFile = options.requireFile ? wrap( options.requireFile ) :
-      ( ( module, loader ) =>
-         Promise.resolve( () => `require( '${loader ? loader + '!' : ''}${module}' )` ) );
+      ( ( module, loader ) => Promise.resolve( options.format === 'esm' ?
+         importRef( `${loader ? loader + '!' : ''}${module}` ) :
+         () => `require( '${loader ? loader + '!' : ''}${module}' )` ) );
 
    /**
     * @name ArtifactListing
@@ -87,12 +111,14 @@ export function create( options ) {
     */
    return {
       buildArtifacts,
+      buildSplitArtifacts,
       buildFlows,
       buildThemes,
       buildPages,
       buildLayouts,
       buildWidgets,
       buildControls,
+      buildCategory,
       buildAssets
    };
 
@@ -104,8 +130,13 @@ export function create( options ) {
     *    artifacts collected by the {@link ArtifactCollector}, optionally validated by the
     *    {@link ArtifactValidator}
     * @return {Promise<Object>} the generated listing, ready to be serialized.
+    *    Artifacts of categories registered with the collector are listed under their category name
     */
    function buildArtifacts( artifacts ) {
+      const categories = Object.keys( artifacts )
+         .filter( key => NON_LISTED_KEYS.indexOf( key ) < 0 )
+         .filter( key => Array.isArray( artifacts[ key ] ) );
+
       return Promise.all( [
          buildAliases( artifacts ),
          buildFlows( artifacts.flows ),
@@ -113,14 +144,80 @@ export function create( options ) {
          buildPages( artifacts.pages ),
          buildLayouts( artifacts.layouts, artifacts.themes ),
          buildWidgets( artifacts.widgets, artifacts.themes ),
-         buildControls( artifacts.controls, artifacts.themes )
-      ] ).then( ( [ aliases, flows, themes, pages, layouts, widgets, controls ] ) => ( {
+         buildControls( artifacts.controls, artifacts.themes ),
+         Promise.all( categories.map( category => buildCategory( artifacts[ category ], artifacts.themes ) ) )
+      ] ).then( ( [ aliases, flows, themes, pages, layouts, widgets, controls, registered ] ) => ( {
          aliases,
          flows,
          themes,
          pages,
          layouts,
          widgets,
+         controls,
+         ...merge( categories.map( ( category, index ) => ( { [ category ]: registered[ index ] } ) ) )
+      } ) );
+   }
+
+   /**
+    * Build a core listing and separate listings (chunks) per flow or per page, that can be loaded on
+    * demand. Each chunk lists only the pages, layouts, widgets and controls (with their assets) that are
+    * used by its flow or page and by no other chunk. Everything else is part of the core listing.
+    *
+    * The core listing has an additional `chunks` entry, mapping each chunk name (the ref of its flow or
+    * page) to the `pages` (names and refs) that it contains, so that the runtime can determine which chunk
+    * to load for a page.
+    *
+    * Example:
+    *
+    *     listing.buildSplitArtifacts( artifacts, 'flows' )
+    *        .then( ( { core, chunks } ) => {
+    *           core.chunks;
+    *           // => { main: { pages: [ 'home', 'details' ] } }
+    *           chunks.main;
+    *           // => { aliases: { ... }, pages: [ ... ], layouts: [ ... ], widgets: [ ... ], ... }
+    *        } );
+    *
+    * @memberOf ArtifactListing
+    * @param {Object} artifacts
+    *    artifacts collected by the {@link ArtifactCollector}, optionally validated by the
+    *    {@link ArtifactValidator}
+    * @param {String} [split]
+    *    `"flows"` to create a chunk per flow, or `"pages"` (default) to create a chunk per page
+    * @return {Promise<Object>}
+    *    the `core` listing and the `chunks` listings by chunk name, ready to be serialized
+    */
+   function buildSplitArtifacts( artifacts, split = 'pages' ) {
+      return Promise.resolve( split )
+         .then( split => splitArtifacts( artifacts, split ) )
+         .then( ( { core, chunks } ) => {
+            const names = Object.keys( chunks );
+            return Promise.all( [
+               buildArtifacts( core ),
+               Promise.all( names.map( name => buildChunk( chunks[ name ], artifacts.themes ) ) )
+            ] ).then( ( [ listing, listings ] ) => ( {
+               core: {
+                  ...listing,
+                  chunks: merge( names.map( name => ( {
+                     [ name ]: { pages: chunkPageRefs( chunks[ name ] ) }
+                  } ) ) )
+               },
+               chunks: merge( names.map( ( name, index ) => ( { [ name ]: listings[ index ] } ) ) )
+            } ) );
+         } );
+   }
+
+   function buildChunk( chunk, themes ) {
+      return Promise.all( [
+         buildAliases( chunk ),
+         buildPages( chunk.pages ),
+         buildLayouts( chunk.layouts, themes ),
+         buildWidgets( chunk.widgets, themes ),
+         buildControls( chunk.controls, themes )
+      ] ).then( ( [ aliases, pages, layouts, widgets, controls ] ) => ( {
+         aliases,
+         pages,
+         layouts,
+         widgets,
          controls
       } ) );
    }
@@ -138,6 +235,18 @@ export function create( options ) {
    }
 
    function buildThemes( themes ) {
+      if( allThemes ) {
+         return Promise.all( themes.map( theme =>
+            Promise.all( [
+               buildDescriptor( theme ),
+               buildAssets( theme )
+            ] )
+            .then( ( [ descriptor, assets ] ) => ( {
+               descriptor,
+               assets
+            } ) ) ) );
+      }
+
       return Promise.all( [
          Promise.all( [
             buildDescriptor( themes[ 0 ] ),
@@ -157,7 +266,7 @@ export function create( options ) {
       return Promise.all( pages.map( page =>
          Promise.all( [
             buildDescriptor( page ),
-            buildDefinition( page )
+            buildPageDefinition( page )
          ] )
          .then( ( [ descriptor, definition ] ) => ( {
             descriptor,
@@ -205,12 +314,44 @@ export function create( options ) {
          } ) ) ) );
    }
 
-   function buildDescriptor( { name, descriptor } ) {
-      return Promise.resolve( descriptor || { name } );
+   /**
+    * Build the listing entries for the artifacts of a category that was registered with the
+    * {@link ArtifactCollector}. Each entry contains the artifact's descriptor, its definition (if any)
+    * and its assets.
+    *
+    * @memberOf ArtifactListing
+    * @param {Array<Object>} artifacts
+    *    the artifacts of the category
+    * @param {Array<Object>} themes
+    *    the themes to use for resolving themed assets
+    * @return {Promise<Array>} the listing entries
+    */
+   function buildCategory( artifacts, themes ) {
+      return Promise.all( artifacts.map( artifact =>
+         Promise.all( [
+            buildDescriptor( artifact ),
+            buildDefinition( artifact ),
+            buildAssets( artifact, themes )
+         ] )
+         .then( ( [ descriptor, definition, assets ] ) => ( {
+            descriptor,
+            ...( definition ? { definition } : {} ),
+            assets
+         } ) ) ) );
+   }
+
+   function buildDescriptor( { name, descriptor, definition, source } ) {
+      // the source of an artifact is its definition file, if it has one
+      return Promise.resolve( descriptor ? withSource( descriptor, definition ? null : source ) : { name } );
    }
 
-   function buildDefinition( { definition } ) {
-      return Promise.resolve( definition );
+   function buildDefinition( { definition, source } ) {
+      return Promise.resolve( withSource( definition, source ) );
+   }
+
+   function buildPageDefinition( page ) {
+      // the items of an assembled page may have been declared by base pages, mixins or compositions
+      return buildDefinition( { ...page, definition: withItemSources( page.definition ) } );
    }
 
    function buildModule( { path, name } ) {
@@ -224,7 +365,8 @@ export function create( options ) {
     * @param {Object} artifact
     *    the artifact to generate the asset listing for
     * @param {Array<Object>} themes
-    *    the themes to use for resolving themed artifacts
+    *    the themes to use for resolving themed artifacts. Unless the `allThemes` option is set, only the
+    *    first theme gets a sub-listing, falling back to the other themes
     * @return {Object}
     *    the asset listing, containing sub-listings for each theme and entries
     *    for each (available) asset, pointing either to a URL or including
@@ -243,10 +385,14 @@ export function create( options ) {
          assetResolver
             .resolveAssets( artifact, [ ...assets, ...assetUrls ] )
             .then( requireAssets( requireFile, assets, assetUrls ) ),
-         themes.length <= 0 ? {} : assetResolver
-            .resolveThemedAssets( artifact, themes, [ ...assetsForTheme, ...assetUrlsForTheme ] )
+         ...( allThemes ? themes : themes.slice( 0, 1 ) ).map( theme => assetResolver
+            .resolveThemedAssets(
+               artifact,
+               allThemes ? fallbackThemes( theme, themes ) : themes,
+               [ ...assetsForTheme, ...assetUrlsForTheme ]
+            )
             .then( requireAssets( requireFile, assetsForTheme, assetUrlsForTheme ) )
-            .then( assets => ( { [ themes[ 0 ].name ]: assets } ) )
+            .then( assets => ( { [ theme.name ]: assets } ) ) )
       ] ).then( merge );
    }
 }
@@ -260,15 +406,32 @@ function extendAssets( {
    assetUrlsForTheme = []
 } = {}, source ) {
    return {
-      assets: assets.concat( source.assets ),
-      assetUrls: assetUrls.concat( source.assetUrls ),
-      assetsForTheme: assetsForTheme.concat( source.assetsForTheme ),
-      assetUrlsForTheme: assetUrlsForTheme.concat( source.assetUrlsForTheme )
+      assets: assets.concat( source.assets || [] ),
+      assetUrls: assetUrls.concat( source.assetUrls || [] ),
+      assetsForTheme: assetsForTheme.concat( source.assetsForTheme || [] ),
+      assetUrlsForTheme: assetUrlsForTheme.concat( source.assetUrlsForTheme || [] )
    };
 }
 
 /////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Determine the themes to search for the themed assets of a single theme: the theme itself, the themes
+ * that it extends (directly or indirectly) and finally the default theme.
+ *
+ * @private
+ * @param {Object} theme the theme to list assets for
+ * @param {Array<Object>} themes all collected themes
+ * @return {Array<Object>} the themes to search, in order
+ */
+function fallbackThemes( theme, themes ) {
+   const isDefault = ({ name, refs = [] }) => name === 'default' || refs.indexOf( 'default' ) >= 0;
+   const defaultTheme = themes.find( isDefault );
+   return themeChain( [ theme, defaultTheme ], themes );
+}
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
 function requireAssets( requireFile, assetPaths, assetUrlPaths ) {
    return function( assets ) {
       return Promise.all( Object.keys( assets ).map( key => {
@@ -289,3 +452,25 @@ function requireAssets( requireFile, assetPaths, assetUrlPaths ) {
    };
 }
 
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Annotate each item of an assembled page definition with the source of the page that declared it.
+ *
+ * @private
+ * @param {Object} definition the (assembled) page definition
+ * @return {Object} a copy of the definition with annotated items, or the definition itself if it has no areas
+ */
+function withItemSources( definition ) {
+   if( !definition || !definition.areas ) {
+      return definition;
+   }
+   const areas = {};
+   Object.keys( definition.areas ).forEach( areaName => {
+      areas[ areaName ] = definition.areas[ areaName ].map( item => {
+         const { source, pointer } = sourceOf( item ) || {};
+         return withSource( item, source, pointer );
+      } );
+   } );
+   return { ...definition, areas };
+}
@@ -12,7 +12,13 @@
 import { create as createAjv } from './ajv';
 import { create as createValidators } from './validators';
 import { create as createPageAssembler } from './page_assembler';
+import { create as createTemplateAreas, unprovidedAreas, circularAreas, filledAreas } from './template_areas';
+import { create as createGraph } from './artifact_graph';
+import flowGraph, { ambiguousPatterns } from './flow_graph';
+import { artifactError } from './errors';
+import { locateErrors } from './source_locations';
 import { DESC } from './debug_info_listing';
+import { flatten } from './utils';
 
 export default { create };
 
@@ -23,11 +29,38 @@ export default { create };
  *
  *     const validator = laxarTooling.artifactValidator.create();
  *
+ * @param {Object} [options] additional options
+ * @param {Boolean} [options.aggregateErrors]
+ *    if `true`, `validateArtifacts` does not reject when an artifact is invalid, but omits it from the
+ *    result and lists the problem under the `errors` key of the result, after any errors that were
+ *    already reported by the {@link ArtifactCollector} (default: `false`)
+ * @param {Function} [options.readFile]
+ *    a function accepting a file path and returning the contents of the file as a `String`, either
+ *    directly or asynchronously. If given (or if `options.fileContents` is given), the HTML templates of
+ *    the layouts and widgets are read to check that every area used by a page is declared (using
+ *    `data-ax-area`) by its layout or by the layout or widget item providing it (`<itemId>.<area>`). Areas
+ *    of unknown items and circularly nested areas are reported as well. Areas declared by a layout that
+ *    no page fills do not make the layout invalid, but are reported using the `warn` option
+ * @param {Object} [options.fileContents]
+ *    an in-memory map of file paths to file contents, used to read templates if `readFile` is omitted
+ * @param {Function} [options.resolve]
+ *    a function resolving a given file path, used to find the templates
+ * @param {Object} [options.schemes]
+ *    custom ref schemes for asset paths, see {@link refSchemes#create}
+ * @param {Function} [options.assetResolver]
+ *    override the default asset resolver created with the `resolve` callback
+ * @param {Function} [options.warn]
+ *    a function that is called with a warning (an object with a `message` and the `location` concerned,
+ *    if known) for each problem that does not make an artifact invalid, such as unreachable flow places or
+ *    checks that could not be performed. By default, warnings are ignored
+ *
  * @return {ArtifactValidator} the created artifact validator
  */
-export function create() {
+export function create( options = {} ) {
 
    const ajv = createAjv();
+   const templateAreas = createTemplateAreas( options );
+   const { aggregateErrors = false, warn = () => {} } = options;
 
    /**
     * @name ArtifactValidator
@@ -43,7 +76,10 @@ export function create() {
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
 
    /**
-    * Validate artifacts returned by the {@link ArtifactCollector}.
+    * Validate artifacts returned by the {@link ArtifactCollector}. In addition to the checks of the
+    * individual artifacts, URL patterns that are ambiguous across the flows of an entry are reported (see
+    * {@link flowGraph#ambiguousPatterns}). Flows of different entries are not compared, because each
+    * entry is a separate application.
     *
     * Example:
     *
@@ -55,12 +91,11 @@ export function create() {
     * @return {Promise<Object>} the validated artifacts
     */
    function validateArtifacts( { schemas, flows, pages, widgets, layouts, entries, ...artifacts } ) {
-      const validators = createValidators( ajv, { schemas, pages, widgets } );
-      const pageAssembler = createPageAssembler( validators, {
-         pages: byRef( pages ),
-         widgets: byRef( widgets ),
-         layouts: byRef( layouts )
+      const errors = aggregateErrors ? [] : null;
+      const report = errors && ( ( category, { refs, path }, error ) => {
+         errors.push( { category, ref: refs[ 0 ], path, error } );
       } );
+      const validators = createValidators( ajv, { schemas, pages, widgets }, report );
 
       const entryPageRefs = {};
       [ ...entries, ...flows ].forEach( ({ pages = [] }) => {
@@ -70,17 +105,48 @@ export function create() {
       } );
       const entryPages = pages.filter( ({ refs }) => refs.some( _ => entryPageRefs[ _ ] ) );
 
+      const themes = artifacts.themes || [];
       return Promise.all( [
-         validateFlows( validators, flows ),
-         validatePages( pageAssembler, entryPages ),
-         validateWidgets( validators, widgets )
-      ] ).then( ( [ flows, pages, widgets ] ) => ( {
-         ...artifacts,
-         layouts,
-         flows,
-         pages,
-         widgets
-      } ) );
+         readAreas( layouts, themes ),
+         readAreas( widgets, themes )
+      ] ).then( ( [ layoutAreas, widgetAreas ] ) => {
+         const pageAssembler = withAreaChecks( createPageAssembler( validators, {
+            pages: byRef( pages ),
+            widgets: byRef( widgets ),
+            layouts: byRef( layouts )
+         }, { layoutAreas, warn } ), layoutAreas, widgetAreas );
+
+         return Promise.all( [
+            validateFlows( validators, flows, errors ),
+            validatePages( pageAssembler, entryPages, errors ),
+            validateWidgets( validators, widgets, errors )
+         ] ).then( ( [ validFlows, validPages, validWidgets ] ) => {
+            const consistencyErrors = checkFlowPatterns( entries, validFlows );
+            checkLayoutAreas( layouts, validPages, layoutAreas, warn );
+            if( !errors && consistencyErrors.length ) {
+               throw consistencyErrors[ 0 ].error;
+            }
+
+            const result = {
+               ...artifacts,
+               layouts,
+               flows: validFlows,
+               pages: validPages,
+               widgets: validWidgets
+            };
+            if( !errors ) {
+               return result;
+            }
+            const graph = createGraph( { schemas, flows, pages, widgets, layouts, ...artifacts } );
+            return {
+               ...result,
+               errors: [
+                  ...( artifacts.errors || [] ),
+                  ...[ ...errors, ...consistencyErrors ].map( error => artifactError( graph, error ) )
+               ]
+            };
+         } );
+      } );
 
       function byRef( artifacts ) {
          const artifactsByRef = {};
@@ -96,13 +162,21 @@ export function create() {
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
 
    /**
+    * Validate flows using their JSON schema, and check their navigation graph: targets and redirects must
+    * refer to existing places, and redirects must not loop (see {@link FlowGraph#problems}). Places that
+    * cannot be reached from an entry place do not make a flow invalid, but are reported using the `warn`
+    * option, as they may still be addressed by their URL.
+    *
     * @memberOf ArtifactValidator
     * @param {Object} validators validators created by {@link validators#create}
     * @param {Array<Object>} flows the flow artifacts to validate
+    * @param {Array} [errors]
+    *    if given, invalid flows are omitted from the result and reported by appending them to this list,
+    *    instead of rejecting the returned promise
     * @return {Promise<Array>} the validated flows
     */
-   function validateFlows( validators, flows ) {
-      return Promise.all( flows.map( flow => validateFlow( validators, flow ) ) );
+   function validateFlows( validators, flows, errors ) {
+      return validateEach( 'flows', flows, flow => validateFlow( validators, flow ), errors );
    }
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -111,10 +185,13 @@ export function create() {
     * @memberOf ArtifactValidator
     * @param {PageAssembler} pageAssembler the page assembler handles validation of the individual pages
     * @param {Array<Object>} pages the page artifacts to validate
+    * @param {Array} [errors]
+    *    if given, invalid pages are omitted from the result and reported by appending them to this list,
+    *    instead of rejecting the returned promise
     * @return {Promise<Array>} the validated pages
     */
-   function validatePages( pageAssembler, pages ) {
-      return Promise.all( pages.map( page => validatePage( pageAssembler, page ) ) );
+   function validatePages( pageAssembler, pages, errors ) {
+      return validateEach( 'pages', pages, page => validatePage( pageAssembler, page ), errors );
    }
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -123,20 +200,63 @@ export function create() {
     * @memberOf ArtifactValidator
     * @param {Object} validators validators created by {@link validators#create}
     * @param {Array<Object>} widgets the widget artifacts to validate
+    * @param {Array} [errors]
+    *    if given, invalid widgets are omitted from the result and reported by appending them to this list,
+    *    instead of rejecting the returned promise
     * @return {Promise<Array>} the validated widgets
     */
-   function validateWidgets( validators, widgets ) {
-      return Promise.all( widgets.map( widget => validateWidget( validators, widget ) ) );
+   function validateWidgets( validators, widgets, errors ) {
+      return validateEach( 'widgets', widgets, widget => validateWidget( validators, widget ), errors );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Read the areas declared by the templates of the given layouts or widgets, for the given themes.
+    *
+    * @private
+    * @memberOf ArtifactValidator
+    * @param {Array<Object>} artifacts the layout or widget artifacts
+    * @param {Array<Object>} themes the theme artifacts, to lookup the templates
+    * @return {Promise<Function>}
+    *    a promise for a function returning the areas of the artifact with the given ref, or `null` if
+    *    these are not known
+    */
+   function readAreas( artifacts, themes ) {
+      return Promise.all( artifacts.map( artifact => templateAreas.areasOf( artifact, themes ) ) )
+         .then( areas => {
+            const areasByRef = {};
+            artifacts.forEach( ( { refs }, index ) => {
+               refs.forEach( ref => {
+                  areasByRef[ ref ] = areas[ index ];
+               } );
+            } );
+            return ref => areasByRef[ ref ] || null;
+         } );
    }
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
 
    function validateFlow( validators, flow ) {
-      const { name, definition } = flow;
+      const { name, path, definition } = flow;
       const validate = validators.flow;
-      return validate( definition ) ?
-         Promise.resolve( flow ) :
-         Promise.reject( validators.error( `Validation failed for flow "${name}"`, validate.errors ) );
+      if( !validate( definition ) ) {
+         return Promise.reject( validators.error(
+            `Validation failed for flow "${name}"`,
+            locateErrors( flow.source || { file: path }, validate.errors )
+         ) );
+      }
+
+      const problems = flowGraph.create( flow ).problems().filter( problem => {
+         if( problem.type !== 'unreachable' ) {
+            return true;
+         }
+         warn( { message: problem.message, location: problem.location } );
+         return false;
+      } );
+      return problems.length ?
+         Promise.reject( flowError( flow, problems ) ) :
+         Promise.resolve( flow );
    }
 
    //////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -164,12 +284,146 @@ export function create() {
                [ DESC ]: descriptor
             }
          } ) :
-         Promise.reject( validators.error( `Validation failed for widget "${name}"`, validate.errors ) );
+         Promise.reject( validators.error(
+            `Validation failed for widget "${name}"`,
+            locateErrors( widget.source || { file: path }, validate.errors )
+         ) );
    }
 }
 
 /////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Decorate a page assembler to reject pages using areas that are not declared by their layout or by the
+ * layout or widget item providing the area, that refer to unknown items, or that are nested circularly.
+ *
+ * @private
+ * @param {PageAssembler} pageAssembler the page assembler to decorate
+ * @param {Function} layoutAreas a function returning the areas of a layout by ref, or `null` if not known
+ * @param {Function} widgetAreas a function returning the areas of a widget by ref, or `null` if not known
+ * @return {PageAssembler} the decorated page assembler
+ */
+function withAreaChecks( pageAssembler, layoutAreas, widgetAreas ) {
+   return {
+      assemble( page ) {
+         return pageAssembler.assemble( page )
+            .then( assembledPage => {
+               const problems = [
+                  ...unprovidedAreas( assembledPage, layoutAreas, widgetAreas ),
+                  ...circularAreas( assembledPage )
+               ];
+               if( problems.length ) {
+                  const messages = problems.map( _ => _.message ).join( ', ' );
+                  const error = new Error( `Validation failed for page "${page.name}": ${messages}` );
+                  error.errors = problems;
+                  throw error;
+               }
+               return assembledPage;
+            } );
+      }
+   };
+}
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Warn about the areas of each layout that are not filled by any of the given pages. These do not make a
+ * layout invalid, as layouts may declare optional areas. Layouts that are not used by any of the pages, or
+ * whose areas are not known, are not checked.
+ *
+ * @private
+ * @param {Array<Object>} layouts the layout artifacts
+ * @param {Array<Object>} pages the assembled pages
+ * @param {Function} layoutAreas a function returning the areas of a layout by ref, or `null` if not known
+ * @param {Function} warn a function to call with a warning for each affected layout
+ */
+function checkLayoutAreas( layouts, pages, layoutAreas, warn ) {
+   const filledByRef = {};
+   pages.forEach( page => {
+      const filled = filledAreas( page );
+      Object.keys( filled ).forEach( ref => {
+         filledByRef[ ref ] = ( filledByRef[ ref ] || [] ).concat( filled[ ref ] );
+      } );
+   } );
+
+   layouts
+      .filter( ({ refs }) => refs.some( ref => filledByRef[ ref ] ) )
+      .map( layout => {
+         const filled = flatten( layout.refs.map( ref => filledByRef[ ref ] || [] ) );
+         const areas = layoutAreas( layout.refs[ 0 ] ) || [];
+         return { layout, unfilled: areas.filter( area => filled.indexOf( area ) < 0 ) };
+      } )
+      .filter( ({ unfilled }) => unfilled.length )
+      .forEach( ({ layout, unfilled }) => {
+         warn( {
+            message: `Area(s) of layout "${layout.name}" not filled by any page: ${unfilled.join( ', ' )}`,
+            location: null
+         } );
+      } );
+}
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Find URL patterns that are ambiguous across the flows of each entry. Problems found for several entries
+ * are reported once.
+ *
+ * @private
+ * @param {Array<Object>} entries the entries that the artifacts were collected for
+ * @param {Array<Object>} flows the validated flow artifacts
+ * @return {Array<Object>} a problem (`category`, `ref`, `path` and `error`) for each affected flow
+ */
+function checkFlowPatterns( entries, flows ) {
+   const reported = {};
+   const problems = [];
+   entries.forEach( ({ flows: refs = [] }) => {
+      const entryFlows = flows.filter( flow => flow.refs.some( ref => refs.indexOf( ref ) >= 0 ) );
+      ambiguousPatterns( entryFlows ).forEach( problem => {
+         const key = `${problem.flow} ${problem.message}`;
+         if( !reported[ key ] ) {
+            reported[ key ] = true;
+            problems.push( problem );
+         }
+      } );
+   } );
+   return flows
+      .map( flow => ( { flow, flowProblems: problems.filter( _ => _.flow === flow.path ) } ) )
+      .filter( ({ flowProblems }) => flowProblems.length )
+      .map( ({ flow, flowProblems }) => ( {
+         category: 'flows',
+         ref: flow.refs[ 0 ],
+         path: flow.path,
+         error: flowError( flow, flowProblems )
+      } ) );
+}
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function flowError( flow, problems ) {
+   const messages = problems.map( _ => _.message ).join( ', ' );
+   const error = new Error( `Validation failed for flow "${flow.name}": ${messages}` );
+   error.errors = problems;
+   return error;
+}
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function validateEach( category, artifacts, validate, errors ) {
+   if( !errors ) {
+      return Promise.all( artifacts.map( validate ) );
+   }
+
+   return Promise.all( artifacts.map( artifact => Promise.resolve()
+      .then( () => validate( artifact ) )
+      .catch( error => {
+         errors.push( { category, ref: artifact.refs[ 0 ], path: artifact.path, error } );
+         return null;
+      } ) ) )
+      .then( results => results.filter( result => result !== null ) );
+}
+
+/////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
 function stripSchemas( object ) {
    return { ...object, features: {} };
 }
@@ -27,13 +27,19 @@ export default { create };
  * @param {Function} [options.resolve]
  *    a function resolving a given file path, returning it as a `String` or asynchronously
  *    as a `Promise` and throwing or rejecting the promise if the file does not exist
+ * @param {Object} [options.schemes]
+ *    custom ref schemes for asset paths, see {@link refSchemes#create}
+ * @param {Object} [options.fileContents]
+ *    an in-memory map of file paths to file contents. If `resolve` is omitted, only the paths
+ *    contained in the map are resolved
  *
  * @return {AssetResolver} the created asset resolver
  */
 export function create( options ) {
 
    const {
-      resolve
+      resolve,
+      resolveRef
    } = defaults( options );
 
    /**
@@ -69,7 +75,8 @@ export function create( options ) {
     * @param {Object} artifact
     *    an artifact as returned by {@link ArtifactCollector}.
     * @param {Array<String>} assetPaths
-    *    the artifact assets to resolve
+    *    the artifact assets to resolve. Paths prefixed with a scheme (such as `module:`) are resolved
+    *    using that scheme, with the artifact path as lookup path
     *
     * @return {Object}
     *    an object mapping paths (relative to the artifact) to URLs for existing files
@@ -107,7 +114,9 @@ export function create( options ) {
     * @param {Object} artifact
     *    an artifact as returned by {@link ArtifactCollector}.
     * @param {Array<Object>} themes
-    *    a list of theme artifacts as returned by {@link ArtifactCollector#collectThemes}.
+    *    a list of theme artifacts as returned by {@link ArtifactCollector#collectThemes}. Each theme is
+    *    searched before the themes that it extends (if these are part of the list), and before the
+    *    remaining themes of the list
     * @param {Array<String>} assetPaths
     *    the artifact assets to resolve
     *
@@ -115,7 +124,7 @@ export function create( options ) {
     *    an object mapping paths (relative to the artifact) to URLs for existing files
     */
    function resolveThemedAssets( artifact, themes, assetPaths ) {
-      const searchPaths = [].concat( ...themes.map( theme => [
+      const searchPaths = [].concat( ...themeChain( themes ).map( theme => [
          `${artifact.path}/${theme.name}`,
          `${theme.path}/${artifact.category}/${artifact.name}`
       ] ) );
@@ -158,8 +167,41 @@ export function create( options ) {
       const retry = () => lookupAsset( searchPaths.slice( 1 ), assetPath );
 
       // resolve the path and return mapping, or repeat recursively on error
-      return resolve( `${searchPaths[ 0 ]}/${assetPath}` )
+      const resolved = resolveRef.hasScheme( assetPath ) ?
+         resolveRef( assetPath, searchPaths[ 0 ] ) :
+         resolve( `${searchPaths[ 0 ]}/${assetPath}` );
+
+      return resolved
          .then( resolvedPath => ( { [ assetPath ]: resolvedPath } ), retry );
    }
 }
 
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Order the given themes so that each theme is directly followed by the themes it extends (directly or
+ * indirectly).
+ *
+ * Example:
+ *
+ *     themeChain( [ blue ], [ blue, dark, defaultTheme ] );
+ *     // => [ blue, dark ] (if `blue.themes` is `[ 'dark' ]`)
+ *
+ * @param {Array<Object>} themes a list of theme artifacts to start from
+ * @param {Array<Object>} [available]
+ *    the theme artifacts to look up extended themes in, by name or ref (default: `themes`)
+ * @return {Array<Object>} the themes in search order, each theme listed once
+ */
+export function themeChain( themes, available = themes ) {
+   const chain = [];
+   themes.forEach( function follow( theme ) {
+      if( !theme || chain.indexOf( theme ) >= 0 ) {
+         return;
+      }
+      chain.push( theme );
+      ( theme.themes || [] ).forEach( ref => {
+         follow( available.find( ({ name, refs = [] }) => name === ref || refs.indexOf( ref ) >= 0 ) );
+      } );
+   } );
+   return chain;
+}
@@ -9,9 +9,13 @@
  */
 'use strict';
 
+import { normalize, relative, sep } from 'path';
+
 import assetResolver from './asset_resolver';
+import { create as createRefSchemes } from './ref_schemes';
 
 import { wrap } from './promise';
+import { parse } from './source_locations';
 
 const DEFAULT_PATHS = {
    flows: './application/flows',
@@ -34,6 +38,11 @@ const DEFAULT_PATHS = {
  * Construction of "expensive" defaults is delayed until use and cached for
  * subsequent use.
  *
+ * If `options.fileContents` is given, `resolve`, `readJson` and `listFiles`
+ * default to working on that in-memory map of file paths to file contents
+ * (either JSON text or parsed JSON, or promises for these). Text files such as
+ * HTML templates are read using `readFile` or, if omitted, from that map.
+ *
  * @param {Object} [options] some options
  * @return {Object} options with defaults applied
  */
@@ -45,15 +54,47 @@ export default function( options = {} ) {
 
    return {
       paths,
+      schemes: options.schemes,
       get resolve() {
+         if( !options.resolve && options.fileContents ) {
+            return wrap( file => fileContentsKey( options.fileContents, file ) );
+         }
          return wrap( options.resolve );
       },
+      get resolveRef() {
+         return createRefSchemes( this.resolve, options.schemes );
+      },
+      get readFile() {
+         return options.readFile ? wrap( options.readFile ) : null;
+      },
+      get readText() {
+         if( !options.readFile && options.fileContents ) {
+            return readTextContents( options.fileContents );
+         }
+         return this.readFile;
+      },
       get readJson() {
+         if( !options.readJson && options.readFile ) {
+            const readFile = this.readFile;
+            return file => readFile( file ).then( text => parse( text, file ).value );
+         }
+         if( !options.readJson && options.fileContents ) {
+            return readFileContents( options.fileContents );
+         }
          if( !options.readJson ) {
             throw new Error( 'Required option "readJson" missing' );
          }
          return wrap( options.readJson );
       },
+      get listFiles() {
+         if( !options.listFiles && options.fileContents ) {
+            return wrap( directory => listFileContents( options.fileContents, directory ) );
+         }
+         if( !options.listFiles ) {
+            throw new Error( 'Required option "listFiles" missing' );
+         }
+         return wrap( options.listFiles );
+      },
       get assetResolver() {
          if( !options.assetResolver ) {
             options.assetResolver = assetResolver.create( this );
@@ -63,3 +104,56 @@ export default function( options = {} ) {
       }
    };
 }
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Find the key of an in-memory file map that matches the given path. The map may be modified between
+ * calls, so that it can reflect the (unsaved) contents of an editor.
+ *
+ * @private
+ * @param {Object} fileContents a map of file paths to file contents
+ * @param {String} file the path to look up
+ * @return {String} the matching key
+ */
+function fileContentsKey( fileContents, file ) {
+   if( fileContents.hasOwnProperty( file ) ) {
+      return file;
+   }
+   const key = Object.keys( fileContents ).find( key => normalize( key ) === normalize( file ) );
+   if( key === undefined ) {
+      throw new Error( `File not found: ${file}` );
+   }
+   return key;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function readFileContents( fileContents ) {
+   return file => Promise.resolve()
+      .then( () => fileContents[ fileContentsKey( fileContents, file ) ] )
+      .then( contents => ( typeof contents === 'string' ? parse( contents, file ).value : contents ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function readTextContents( fileContents ) {
+   return file => Promise.resolve()
+      .then( () => fileContents[ fileContentsKey( fileContents, file ) ] )
+      .then( contents => {
+         if( typeof contents !== 'string' ) {
+            throw new Error( `File contents are not text: ${file}` );
+         }
+         return contents;
+      } );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function listFileContents( fileContents, directory ) {
+   const prefix = normalize( `${directory}${sep}` );
+   return Object.keys( fileContents )
+      .map( normalize )
+      .filter( file => file.indexOf( prefix ) === 0 )
+      .map( file => relative( prefix, file ) );
+}
@@ -0,0 +1,53 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Helpers to report problems with individual artifacts.
+ * @module errors
+ */
+'use strict';
+
+/**
+ * Describe a problem with a single artifact, including the chain of artifacts through which it was
+ * referenced.
+ *
+ * @param {ArtifactGraph} graph
+ *    a graph of the (successfully) collected artifacts
+ * @param {Object} problem
+ *    the `category` and `ref` of the affected artifact, its `path` (if known) and the `error` itself
+ * @return {Object}
+ *    an object with the `category`, `ref`, `path`, `referrers`, `locations` and `message` of the problem,
+ *    plus the original `error`. Each referrer is described by its `category`, `ref` and `path`, starting
+ *    with the one closest to the application entries. The locations (`file`, `pointer`, `line` and
+ *    `column`) are taken from the error and from its individual validation errors, where known. If the
+ *    error concerns several artifacts of the same name, their `paths` are listed as well
+ */
+export function artifactError( graph, { category, ref, path = null, error } ) {
+   return {
+      category,
+      ref,
+      path,
+      referrers: graph.referrerChainOf( ref, category ).map( referrer => ( {
+         category: referrer.category,
+         ref: referrer.refs[ 0 ],
+         path: referrer.path
+      } ) ),
+      locations: errorLocations( error ),
+      ...( error && error.paths ? { paths: error.paths } : {} ),
+      message: ( error && error.message ) || `Failed to process ${category} "${ref}"`,
+      error
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function errorLocations( error ) {
+   if( !error ) {
+      return [];
+   }
+   return [ error, ...( error.errors || [] ) ]
+      .map( _ => _.location )
+      .filter( location => !!location );
+}
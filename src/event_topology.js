@@ -0,0 +1,268 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Analyze which resources, actions and flags are published and subscribed by the widgets of assembled
+ * pages, based on the `x-ax-role` annotations of the topic properties in the widget feature schemas.
+ *
+ * Example (widget descriptor):
+ *
+ *     "features": {
+ *        "type": "object",
+ *        "properties": {
+ *           "display": {
+ *              "type": "object",
+ *              "properties": {
+ *                 "resource": { "type": "string", "format": "topic", "x-ax-role": "resource-subscriber" }
+ *              }
+ *           }
+ *        }
+ *     }
+ *
+ * @module eventTopology
+ */
+'use strict';
+
+export default { create };
+
+/**
+ * The schema keyword marking topic properties of widget features.
+ * @type {String}
+ */
+export const ROLE_KEYWORD = 'x-ax-role';
+
+/**
+ * The values of the `x-ax-role` keyword. The publisher of a resource is the resource master, which sends
+ * `didReplace` and `didUpdate` events. Publishers of actions send `takeActionRequest` events, publishers
+ * of flags send `didChangeFlag` events.
+ * @type {Array<String>}
+ */
+export const TOPIC_ROLES = [
+   'resource-publisher',
+   'resource-subscriber',
+   'action-publisher',
+   'action-subscriber',
+   'flag-publisher',
+   'flag-subscriber'
+];
+
+const TOPIC_FORMATS = [ 'topic', 'flag-topic' ];
+const TOPIC_KINDS = {
+   resource: 'resources',
+   action: 'actions',
+   flag: 'flags'
+};
+
+/**
+ * Create an event topology analyzer for the widgets of an application.
+ *
+ * Example:
+ *
+ *     const eventTopology = laxarTooling.eventTopology.create( collectedArtifacts );
+ *     eventTopology.analyzeTopology( validatedArtifacts.pages );
+ *     // => [ {
+ *     //       page: 'my-page',
+ *     //       topology: { resources: { ... }, actions: { ... }, flags: { ... } },
+ *     //       problems: [ {
+ *     //          type: 'unpublished',
+ *     //          kind: 'resource',
+ *     //          topic: 'user',
+ *     //          participants: [ { id: 'userForm', widget: 'user-form', feature: 'user.resource' } ],
+ *     //          message: 'Resource "user" is subscribed by userForm, but never published'
+ *     //       } ]
+ *     //    } ]
+ *
+ * @param {Object} artifacts
+ *    artifacts collected by the {@link ArtifactCollector}, of which the `widgets` (including their feature
+ *    schemas) are used
+ * @return {EventTopology} the created analyzer
+ */
+export function create( artifacts ) {
+
+   const widgetsByRef = {};
+   ( artifacts.widgets || [] ).forEach( widget => {
+      widget.refs.forEach( ref => {
+         widgetsByRef[ ref ] = widget;
+      } );
+   } );
+
+   /**
+    * @name EventTopology
+    * @constructor
+    */
+   return {
+      analyzeTopology,
+      pageTopology
+   };
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Analyze the event bus topology of each of the given pages.
+    *
+    * @memberOf EventTopology
+    * @param {Array<Object>} pages
+    *    pages assembled by the {@link ArtifactValidator}, so that feature defaults have been applied
+    * @return {Array<Object>}
+    *    for each page, its `name` (as `page`), its `topology` (see {@link EventTopology#pageTopology})
+    *    and the `problems` found in that topology (see {@link #topologyProblems})
+    */
+   function analyzeTopology( pages ) {
+      return pages.map( page => {
+         const topology = pageTopology( page );
+         return {
+            page: page.name,
+            topology,
+            problems: topologyProblems( topology )
+         };
+      } );
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Determine the publishers and subscribers of the resources, actions and flags of an assembled page.
+    * Each participant is described by the `id` of the widget item, the `widget` ref and the path of the
+    * `feature` configuring the topic. Negated flag topics (`!flag`) subscribe to the flag itself. Items of
+    * unknown widgets are ignored.
+    *
+    * @memberOf EventTopology
+    * @param {Object} page
+    *    a page assembled by the {@link ArtifactValidator}
+    * @return {Object}
+    *    the `resources`, `actions` and `flags` of the page, each mapping topics to their `publishers` and
+    *    `subscribers`
+    */
+   function pageTopology( page ) {
+      const topology = { resources: {}, actions: {}, flags: {} };
+      const areas = page.definition.areas || {};
+      Object.keys( areas ).forEach( areaName => {
+         areas[ areaName ]
+            .filter( item => item.widget && widgetsByRef[ item.widget ] )
+            .forEach( item => {
+               const { descriptor = {} } = widgetsByRef[ item.widget ];
+               const features = item.features || {};
+               collectTopics( descriptor.features, features, null, '', ( role, topic, feature ) => {
+                  const [ kind, direction ] = role.split( '-' );
+                  const topics = topology[ TOPIC_KINDS[ kind ] ];
+                  topics[ topic ] = topics[ topic ] || { publishers: [], subscribers: [] };
+                  topics[ topic ][ `${direction}s` ].push( { id: item.id, widget: item.widget, feature } );
+               } );
+            } );
+      } );
+      return topology;
+   }
+
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Find problems in the event bus topology of a page: topics that are subscribed but never published
+ * (`"unpublished"`), topics that are published but never subscribed (`"unsubscribed"`) and resources with
+ * more than one master (`"multiple-masters"`).
+ *
+ * @param {Object} topology the topology of a page, as returned by {@link EventTopology#pageTopology}
+ * @return {Array<Object>}
+ *    a problem for each finding, with its `type`, the `kind` (`"resource"`, `"action"` or `"flag"`) and
+ *    `topic` concerned, the `participants` involved and a `message`
+ */
+export function topologyProblems( topology ) {
+   const problems = [];
+   Object.keys( TOPIC_KINDS ).forEach( kind => {
+      const topics = topology[ TOPIC_KINDS[ kind ] ] || {};
+      const subject = topic => `${kind.charAt( 0 ).toUpperCase()}${kind.substr( 1 )} "${topic}"`;
+
+      Object.keys( topics ).forEach( topic => {
+         const { publishers, subscribers } = topics[ topic ];
+         const report = ( type, participants, message ) => {
+            problems.push( { type, kind, topic, participants, message } );
+         };
+
+         if( !publishers.length ) {
+            report( 'unpublished', subscribers,
+               `${subject( topic )} is subscribed by ${idsOf( subscribers )}, but never published` );
+         }
+         if( !subscribers.length ) {
+            report( 'unsubscribed', publishers,
+               `${subject( topic )} is published by ${idsOf( publishers )}, but never subscribed` );
+         }
+         if( kind === 'resource' && uniqueIds( publishers ).length > 1 ) {
+            report( 'multiple-masters', publishers,
+               `${subject( topic )} has more than one master: ${idsOf( publishers )}` );
+         }
+      } );
+   } );
+   return problems;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Walk the feature configuration of a widget item along with the feature schema of the widget, calling
+ * the given function for each topic of a property marked with `x-ax-role` (or contained in such a
+ * property).
+ *
+ * @private
+ * @param {Object} schema the (sub-)schema describing the value
+ * @param {*} value the (sub-)configuration
+ * @param {String} inheritedRole the role of the enclosing property, if any
+ * @param {String} path the path of the value within the features
+ * @param {Function} f a function called with the role, the topic and the feature path
+ */
+function collectTopics( schema, value, inheritedRole, path, f ) {
+   if( !schema || typeof schema !== 'object' || value === null || value === undefined ) {
+      return;
+   }
+
+   const role = schema[ ROLE_KEYWORD ] || inheritedRole;
+   if( typeof value === 'string' ) {
+      if( role && TOPIC_FORMATS.indexOf( schema.format ) >= 0 ) {
+         f( role, value.replace( /^!/, '' ), path );
+      }
+      return;
+   }
+
+   const join = key => ( path ? `${path}.${key}` : `${key}` );
+   if( Array.isArray( value ) ) {
+      value.forEach( ( item, index ) => {
+         const itemSchema = Array.isArray( schema.items ) ? schema.items[ index ] : schema.items;
+         collectTopics( itemSchema, item, role, join( index ), f );
+      } );
+      return;
+   }
+
+   if( typeof value === 'object' ) {
+      Object.keys( value ).forEach( key => {
+         collectTopics( propertySchema( schema, key ), value[ key ], role, join( key ), f );
+      } );
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function propertySchema( schema, key ) {
+   const { properties = {}, patternProperties = {}, additionalProperties } = schema;
+   if( properties.hasOwnProperty( key ) ) {
+      return properties[ key ];
+   }
+   const pattern = Object.keys( patternProperties )
+      .filter( candidate => new RegExp( candidate ).test( key ) )[ 0 ];
+   return pattern ? patternProperties[ pattern ] : additionalProperties;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function uniqueIds( participants ) {
+   return participants
+      .map( ({ id }) => id )
+      .filter( ( id, index, ids ) => ids.indexOf( id ) === index );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function idsOf( participants ) {
+   return uniqueIds( participants ).join( ', ' );
+}
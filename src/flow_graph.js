@@ -0,0 +1,251 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Build the navigation graph of the places of a flow and find broken navigation: targets and redirects to
+ * missing places, redirect loops, unreachable places and ambiguous URL patterns.
+ * @module flowGraph
+ */
+'use strict';
+
+import { locate, escapeSegment } from './source_locations';
+
+export default { create };
+
+const ENTRY_PLACE = 'entry';
+
+/**
+ * Create the navigation graph of the places of a flow, following the `targets` and the `redirectTo` of
+ * each place.
+ *
+ * Example:
+ *
+ *     const flowGraph = create( flow );
+ *     flowGraph.problems()
+ *        .filter( problem => problem.type === 'missing-place' )
+ *        .forEach( problem => { console.log( problem.message ); } );
+ *
+ * @param {Object} flow a flow artifact as returned by the {@link ArtifactCollector}
+ * @return {FlowGraph} the created graph
+ */
+export function create( flow ) {
+
+   const places = placesOf( flow );
+   const placeEdges = [];
+   Object.keys( places ).forEach( from => {
+      const { targets = {}, redirectTo } = places[ from ];
+      if( redirectTo ) {
+         placeEdges.push( { from, to: redirectTo, target: null } );
+      }
+      Object.keys( targets ).forEach( target => {
+         placeEdges.push( { from, to: targets[ target ], target } );
+      } );
+   } );
+
+   /**
+    * @name FlowGraph
+    * @constructor
+    */
+   return {
+      edges,
+      problems
+   };
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * List the navigation edges between the places of the flow.
+    *
+    * Example:
+    *
+    *     create( { definition: { places: {
+    *        entry: { redirectTo: 'home' },
+    *        home: { page: 'home', targets: { next: 'other' } }
+    *     } } } ).edges();
+    *     // => [
+    *     //       { from: 'entry', to: 'home', target: null },
+    *     //       { from: 'home', to: 'other', target: 'next' }
+    *     //    ]
+    *
+    * @memberOf FlowGraph
+    * @return {Array<Object>}
+    *    an edge for each target and redirect, with the place that it leads `from` and `to`, and the name
+    *    of the `target` (`null` for redirects)
+    */
+   function edges() {
+      return placeEdges.slice();
+   }
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Check the navigation graph of the flow. Reports targets and redirects to places that do not exist in
+    * the flow (`"missing-place"`), redirects that loop (`"redirect-loop"`) and places that cannot be
+    * reached by navigating from an entry place (`"unreachable"`). Entry places are the place named `entry`
+    * and the places using the pattern `/`. Flows without entry places are not checked for reachability.
+    *
+    * @memberOf FlowGraph
+    * @return {Array<Object>}
+    *    a problem for each finding, with its `type`, the `flow` file and the `place` concerned, a `message`
+    *    naming both, and the `location` within the flow file
+    */
+   function problems() {
+      const found = [];
+      const report = ( type, place, pointer, message ) => {
+         found.push( {
+            type,
+            flow: flow.path,
+            place,
+            message: `In ${describePlace( flow, place )}: ${message}`,
+            location: locateInFlow( flow, `/places/${escapeSegment( place )}${pointer}` )
+         } );
+      };
+
+      placeEdges.filter( ({ to }) => !places.hasOwnProperty( to ) ).forEach( ({ from, to, target }) => {
+         if( target === null ) {
+            report( 'missing-place', from, '/redirectTo', `redirectTo refers to missing place "${to}"` );
+         }
+         else {
+            report( 'missing-place', from, `/targets/${escapeSegment( target )}`,
+               `target "${target}" refers to missing place "${to}"` );
+         }
+      } );
+
+      const reported = {};
+      Object.keys( places ).forEach( start => {
+         const chain = [ start ];
+         let next = places[ start ].redirectTo;
+         while( places.hasOwnProperty( next ) && chain.indexOf( next ) < 0 ) {
+            chain.push( next );
+            next = places[ next ].redirectTo;
+         }
+         const key = chain.slice().sort().join( ' ' );
+         if( next === start && !reported[ key ] ) {
+            reported[ key ] = true;
+            report( 'redirect-loop', start, '/redirectTo',
+               `redirectTo loops: ${chain.concat( [ start ] ).join( ' -> ' )}` );
+         }
+      } );
+
+      const entries = Object.keys( places ).filter( name => name === ENTRY_PLACE ||
+         placePatterns( name, places[ name ] ).some( pattern => normalizePattern( pattern ) === '/' ) );
+      if( entries.length ) {
+         const reachable = {};
+         const visit = name => {
+            if( reachable[ name ] ) {
+               return;
+            }
+            reachable[ name ] = true;
+            placeEdges.filter( ({ from }) => from === name ).forEach( ({ to }) => visit( to ) );
+         };
+         entries.forEach( visit );
+         Object.keys( places ).filter( name => !reachable[ name ] ).forEach( name => {
+            report( 'unreachable', name, '', 'place cannot be reached from any entry place' );
+         } );
+      }
+
+      return found;
+   }
+
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Get the URL patterns of a place. Places without `patterns` are addressed by their name.
+ *
+ * Example:
+ *
+ *     placePatterns( 'editor', { page: 'editor' } );
+ *     // => [ '/editor' ]
+ *     placePatterns( 'entry', { patterns: [ '/' ], redirectTo: 'editor' } );
+ *     // => [ '/' ]
+ *
+ * @param {String} placeName the name of the place
+ * @param {Object} place the place definition
+ * @return {Array<String>} the URL patterns of the place
+ */
+export function placePatterns( placeName, place ) {
+   return place.patterns || [ `/${placeName}` ];
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Find URL patterns of different places that match the same URLs, across all of the given flows. Two
+ * patterns are ambiguous if they only differ in the names of their parameters (such as `/user/:id` and
+ * `/user/:name`). Each pair of ambiguous patterns is reported once, for the place that is listed later.
+ *
+ * @param {Array<Object>} flows the flow artifacts as returned by the {@link ArtifactCollector}
+ * @return {Array<Object>}
+ *    a problem for each ambiguous pattern, with its `type` (`"ambiguous-pattern"`), the `flow` file, the
+ *    `place` and `pattern` concerned, a `message` naming the conflicting place, and the `location` of the
+ *    pattern within the flow file
+ */
+export function ambiguousPatterns( flows ) {
+   const seen = {};
+   const problems = [];
+   flows.forEach( flow => {
+      const places = placesOf( flow );
+      Object.keys( places ).forEach( place => {
+         placePatterns( place, places[ place ] ).forEach( ( pattern, index ) => {
+            const key = normalizePattern( pattern );
+            const previous = ( seen[ key ] || [] )
+               .filter( other => other.flow !== flow || other.place !== place )[ 0 ];
+            seen[ key ] = ( seen[ key ] || [] ).concat( [ { flow, place, pattern } ] );
+            if( !previous ) {
+               return;
+            }
+            const pointer = places[ place ].patterns ? `/patterns/${index}` : '';
+            const previousPlace = describePlace( previous.flow, previous.place );
+            const other = `pattern "${previous.pattern}" of ${previousPlace}`;
+            problems.push( {
+               type: 'ambiguous-pattern',
+               flow: flow.path,
+               place,
+               pattern,
+               message: `In ${describePlace( flow, place )}: pattern "${pattern}" is ambiguous with ${other}`,
+               location: locateInFlow( flow, `/places/${escapeSegment( place )}${pointer}` )
+            } );
+         } );
+      } );
+   } );
+   return problems;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function placesOf( flow ) {
+   return ( flow.definition && flow.definition.places ) || {};
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function describePlace( flow, place ) {
+   return `flow "${flow.path || flow.name}", place "${place}"`;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function locateInFlow( flow, pointer ) {
+   return flow.source || flow.path ? locate( flow.source || { file: flow.path }, pointer ) : null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Reduce a URL pattern to the form in which it is matched: without empty segments and with anonymous
+ * parameters.
+ *
+ * @private
+ * @param {String} pattern a URL pattern such as `/user/:id`
+ * @return {String} the normalized pattern, such as `/user/:`
+ */
+function normalizePattern( pattern ) {
+   const segments = pattern.split( '/' )
+      .filter( segment => segment.length )
+      .map( segment => ( segment.charAt( 0 ) === ':' ? ':' : segment ) );
+   return `/${segments.join( '/' )}`;
+}
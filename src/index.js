@@ -19,26 +19,42 @@
 import 'source-map-support/register';
 
 import artifactCollector from './artifact_collector';
+import artifactGraph from './artifact_graph';
 import artifactValidator from './artifact_validator';
 import assetResolver from './asset_resolver';
 import artifactListing from './artifact_listing';
 import debugInfoListing from './debug_info_listing';
-import serialize from './serialize';
+import eventTopology from './event_topology';
+import routeTable from './route_table';
+import serialize, { serializeWithSourceMap } from './serialize';
+import serializeModule, { serializeModuleWithSourceMap } from './serialize_module';
 
 export {
    artifactCollector,
+   artifactGraph,
    artifactValidator,
    assetResolver,
    artifactListing,
    debugInfoListing,
-   serialize
+   eventTopology,
+   routeTable,
+   serialize,
+   serializeWithSourceMap,
+   serializeModule,
+   serializeModuleWithSourceMap
 };
 
 export default {
    artifactCollector,
+   artifactGraph,
    artifactValidator,
    assetResolver,
    artifactListing,
    debugInfoListing,
-   serialize
+   eventTopology,
+   routeTable,
+   serialize,
+   serializeWithSourceMap,
+   serializeModule,
+   serializeModuleWithSourceMap
 };
@@ -4,18 +4,38 @@
  * http://laxarjs.org/license
  */
  /**
-  * Assemble pages by expanding "extends" and "composition" entries.
+  * Assemble pages by expanding "extends", "mixins" and "composition" entries.
   * Also performs JSON schema validation for pages and for instances of compositions/widgets.
   *
   * @module page_assembler
   */
+import { createHash } from 'crypto';
+
 import { deepClone, path, setPath } from './utils';
 import { create as createInterpolator } from './expression_interpolator';
 import { FLAT, COMPACT } from './debug_info_listing';
+import { locate, escapeSegment, unescapeSegment } from './source_locations';
 
 const SEGMENTS_MATCHER = /[_/-]./g;
 
 const ID_SEPARATOR = '-';
+const ID_HASH_LENGTH = 8;
+
+// Items of extending pages and compositions may use one of these to modify the item list of an area
+const MERGE_DIRECTIVES = [ 'insertBeforeId', 'insertAfterId', 'replaceId', 'removeId' ];
+
+// Page definitions and their items are annotated with the source and JSON pointer they were read from, so
+// that errors can be located after items of base pages and compositions were merged into the page. The
+// ref of the defining page and the pointer are also used to generate stable IDs for items without one.
+const ORIGIN = Symbol( 'origin' );
+
+// Items whose merge directive was applied are marked, so that the directive is not applied again when the
+// assembled page is merged into another page as a mixin
+const MERGED = Symbol( 'merged' );
+
+// Page definitions are annotated with the IDs of their disabled items, which are removed before merging,
+// so that the areas provided by these items can be recognized
+const DISABLED = Symbol( 'disabled' );
 
 /**
  * Creates and returns a new page assembler instance.
@@ -26,17 +46,25 @@ const ID_SEPARATOR = '-';
  *    for pages, widgets and layout, a mapping from refs to their artifact objects.
  *    Pages are needed to lookup compositions and process inheritance. All are needed to lookup the real
  *    names when generating IDs.
+ * @param {Object} [options]
+ *    additional options
+ * @param {Function} [options.layoutAreas]
+ *    a function returning the names of the areas provided by the layout with the given ref, or `null` if
+ *    these are not known. Used to check pages that replace an inherited layout using `overrideLayout`
+ * @param {Function} [options.warn]
+ *    a function that is called with a warning (an object with a `message` and the `location` concerned,
+ *    if known) for each check that could not be performed, such as the check of the areas of a page using
+ *    `overrideLayout` if the areas of its layout are not known. By default, warnings are ignored
  *
  * @return {PageAssembler}
  *    a page assembler instance
  *
  * @private
  */
-export function create( validators, artifactsByRef ) {
+export function create( validators, artifactsByRef, options = {} ) {
 
    const interpolator = createInterpolator();
-
-   let idCounter = 0;
+   const { layoutAreas = () => null, warn = () => {} } = options;
 
    return {
       assemble
@@ -47,6 +75,12 @@ export function create( validators, artifactsByRef ) {
     * referenced page fragments are merged in to one JavaScript object. Returns a promise that is either
     * resolved with the constructed page or rejected with a JavaScript `Error` instance.
     *
+    * Items without an ID receive a generated ID, that is derived from the ref of the page (or
+    * composition) defining the item, the item's position within that definition and, for items of
+    * compositions, the ID of the composition instance. Generated IDs do not depend on other pages.
+    *
+    * The origin of each item (see {@link #originOf}) is listed by item ID under `debugInfo.origins`.
+    *
     * @param {String} page
     *    the page to load. Usually a path relative to the base url, with the `.json` suffix omitted
     *
@@ -59,35 +93,44 @@ export function create( validators, artifactsByRef ) {
             'PageAssembler.assemble must be called with a page artifact (object)'
          ) );
       }
+      annotateOrigins( page );
       removeDisabledItems( page );
-      return loadPageRecursively( page, page.name, [] );
+      return loadPageRecursively( page, page.name, [], {} )
+         .then( page => {
+            page.debugInfo.origins = collectOrigins( page );
+            return page;
+         } );
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
    function lookup( pageRef ) {
       const page = deepClone( artifactsByRef.pages[ pageRef ] );
+      annotateOrigins( page );
       removeDisabledItems( page );
       return page;
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function loadPageRecursively( page, pageRef, extensionChain ) {
+   function loadPageRecursively( page, pageRef, extensionChain, generatedIds ) {
 
       const { definition, name } = page;
 
-      if( extensionChain.indexOf( name ) !== -1 ) {
+      const chainIndex = extensionChain.indexOf( name );
+      if( chainIndex !== -1 ) {
+         const nextName = extensionChain[ chainIndex + 1 ] || name;
          return Promise.reject( formatError(
             page,
-            `Cycle in page extension detected: ${extensionChain.concat( [ name ] ).join( ' -> ' )}`
+            `Cycle in page extension detected: ${extensionChain.concat( [ name ] ).join( ' -> ' )}`,
+            locateReference( definition, nextName )
          ) );
       }
 
       if( !validators.page( definition ) ) {
          return Promise.reject( validators.error(
             `Validation failed for page "${pageRef}"`,
-            validators.page.errors
+            locateErrors( definition, validators.page.errors )
          ) );
       }
 
@@ -95,12 +138,12 @@ export function create( validators, artifactsByRef ) {
          definition.areas = {};
       }
 
-      return processExtends( page, extensionChain )
+      return processExtends( page, extensionChain, generatedIds )
          .then( () => {
-            generateMissingIds( page );
+            generateMissingIds( page, generatedIds );
             // we need to check ids before and after expanding compositions
             checkForDuplicateIds( page );
-            return processCompositions( page, pageRef );
+            return processCompositions( page, pageRef, generatedIds );
          } )
          .then( () => {
             checkForDuplicateIds( page );
@@ -119,10 +162,10 @@ export function create( validators, artifactsByRef ) {
                if( !item.features ) {
                   item.features = {};
                }
-               if( validate && !validate( item, `/areas/${areaName}/${index}` ) ) {
+               if( validate && !validate( item, `/areas/${escapeSegment( areaName )}/${index}` ) ) {
                   throw validators.error(
                      `Validation of page ${pageRef} failed for ${name} features`,
-                     validate.errors
+                     locateErrors( page.definition, validate.errors )
                   );
                }
                if( Object.keys( item.features ).length === 0 ) {
@@ -134,39 +177,104 @@ export function create( validators, artifactsByRef ) {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
    //
-   // Processing inheritance (i.e. the `extends` keyword)
+   // Processing inheritance (i.e. the `extends` and `mixins` keywords)
    //
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function processExtends( page, extensionChain ) {
+   function processExtends( page, extensionChain, generatedIds ) {
       const { definition, name } = page;
-      if( has( definition, 'extends' ) ) {
-         const pageRef = definition.extends;
-         const unprocessedBasePage = lookup( pageRef );
-         return loadPageRecursively( unprocessedBasePage, pageRef, extensionChain.concat( [ name ] ) )
-            .then( basePage => {
-               mergePageWithBasePage( page, basePage );
-            } );
+      const chain = extensionChain.concat( [ name ] );
+      const load = pageRef => loadPageRecursively( lookup( pageRef ), pageRef, chain, generatedIds );
+      const mixinRefs = definition.mixins || [];
+      if( !has( definition, 'extends' ) && !mixinRefs.length ) {
+         return Promise.resolve();
       }
-      return Promise.resolve();
+
+      // the base page and the mixins are loaded sequentially, so that IDs are generated in a stable order
+      let basePage = null;
+      const mixins = [];
+      let promise = has( definition, 'extends' ) ?
+         load( definition.extends ).then( _ => { basePage = _; } ) :
+         Promise.resolve();
+      mixinRefs.forEach( mixinRef => {
+         promise = promise
+            .then( () => load( mixinRef ) )
+            .then( mixin => { mixins.push( mixin ); } );
+      } );
+
+      return promise
+         .then( () => {
+            mergePageWithBasePages( page, basePage, mixins );
+         } );
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function mergePageWithBasePage( page, basePage ) {
+   /**
+    * Merge the areas of the base page and of the mixins into the given page. The items of the base page
+    * come first, followed by the items of each mixin in declared order, and finally by the page's own
+    * items. The items of the mixins and of the page may use merge directives to refer to any of the items
+    * preceding them. Directives are only applied in inherited areas: areas that are new to the merged page
+    * are taken as they are, except that items replacing or removing another item are rejected, as their
+    * target cannot exist. Only one of these pages may define the layout, unless the page sets
+    * `overrideLayout` to replace the inherited layout with its own.
+    *
+    * @private
+    * @memberOf PageAssembler
+    * @param {Object} page the extending page
+    * @param {Object} [basePage] the assembled page referenced by `extends`, if any
+    * @param {Array<Object>} mixins the assembled pages referenced by `mixins`
+    */
+   function mergePageWithBasePages( page, basePage, mixins ) {
       const extendingAreas = page.definition.areas;
-      const mergedPageAreas = deepClone( basePage.definition.areas );
-      if( has( basePage.definition, 'layout' ) ) {
+      const mergedPageAreas = basePage ? cloneAreas( basePage.definition.areas ) : {};
+      let layoutOwner = null;
+      let layout;
+      if( basePage && has( basePage.definition, 'layout' ) ) {
+         layoutOwner = `base page "${basePage.name}"`;
+         layout = basePage.definition.layout;
+      }
+
+      mixins.forEach( ( mixin, index ) => {
+         if( has( mixin.definition, 'layout' ) ) {
+            if( layoutOwner ) {
+               throw formatError(
+                  page,
+                  `Mixin "${mixin.name}" overwrites layout set by ${layoutOwner}`,
+                  locateIn( page.definition, `/mixins/${index}` )
+               );
+            }
+            layoutOwner = `mixin "${mixin.name}"`;
+            layout = mixin.definition.layout;
+         }
+
+         const mixinAreas = cloneAreas( mixin.definition.areas );
+         Object.keys( mixinAreas ).forEach( areaName => {
+            if( !( areaName in mergedPageAreas ) ) {
+               mergedPageAreas[ areaName ] = newItemList( mixinAreas[ areaName ], page );
+               return;
+            }
+
+            mergeItemLists( mergedPageAreas[ areaName ], mixinAreas[ areaName ], page );
+         } );
+      } );
+
+      const overridesLayout = has( page.definition, 'layout' ) && page.definition.overrideLayout === true;
+      if( layoutOwner && !overridesLayout ) {
          if( has( page.definition, 'layout' ) ) {
-            throw formatError( page, `Page overwrites layout set by base page "${basePage.name}"` );
+            throw formatError(
+               page,
+               `Page overwrites layout set by ${layoutOwner}`,
+               locateIn( page.definition, '/layout' )
+            );
          }
-         page.definition.layout = basePage.definition.layout;
+         page.definition.layout = layout;
       }
 
       Object.keys( extendingAreas ).forEach( areaName => {
          const itemList = extendingAreas[ areaName ];
          if( !( areaName in mergedPageAreas ) ) {
-            mergedPageAreas[ areaName ] = itemList;
+            mergedPageAreas[ areaName ] = newItemList( itemList, page );
             return;
          }
 
@@ -174,6 +282,68 @@ export function create( validators, artifactsByRef ) {
       } );
 
       page.definition.areas = mergedPageAreas;
+      page.definition[ DISABLED ] = [ basePage, ...mixins ]
+         .filter( _ => !!_ )
+         .reduce( ( ids, { definition } ) => ids.concat( definition[ DISABLED ] || [] ),
+            page.definition[ DISABLED ] || [] );
+
+      if( layoutOwner && overridesLayout ) {
+         checkInheritedAreas( page, extendingAreas );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Check that the layout set by a page using `overrideLayout` provides all areas that still contain
+    * inherited items after merging. Areas of nested widgets and layouts (`itemId.areaName`) are not checked.
+    * If the areas of the layout are not known (see the `layoutAreas` option), the check is skipped with a
+    * warning.
+    *
+    * @private
+    * @memberOf PageAssembler
+    * @param {Object} page the page overriding the inherited layout, with merged areas
+    * @param {Object} ownAreas the page's own areas, before merging
+    */
+   function checkInheritedAreas( page, ownAreas ) {
+      const { layout } = page.definition;
+      const providedAreas = layoutAreas( layout );
+      if( !providedAreas ) {
+         warn( {
+            message: `Page "${page.name}": cannot check the areas used by inherited items, ` +
+               `because the areas of layout "${layout}" are not known`,
+            location: locateIn( page.definition, '/layout' )
+         } );
+         return;
+      }
+
+      const isInherited = ( item, areaName ) => ( ownAreas[ areaName ] || [] ).indexOf( item ) < 0;
+      const missingAreas = [];
+      forEachArea( page, ( items, areaName ) => {
+         if( areaName.indexOf( '.' ) < 0 &&
+             providedAreas.indexOf( areaName ) < 0 &&
+             items.some( item => isInherited( item, areaName ) ) ) {
+            missingAreas.push( areaName );
+         }
+      } );
+
+      if( missingAreas.length ) {
+         const areaNames = missingAreas.join( ', ' );
+         throw formatError(
+            page,
+            `Layout "${layout}" does not provide area(s) used by inherited items: ${areaNames}`,
+            locateIn( page.definition, '/layout' )
+         );
+      }
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   function locateReference( definition, pageName ) {
+      const nameOf = pageRef => ( artifactsByRef.pages[ pageRef ] || {} ).name;
+      const index = ( definition.mixins || [] ).findIndex( mixinRef => nameOf( mixinRef ) === pageName );
+      const isBasePage = has( definition, 'extends' ) && nameOf( definition.extends ) === pageName;
+      return locateIn( definition, isBasePage || index < 0 ? '/extends' : `/mixins/${index}` );
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -182,7 +352,7 @@ export function create( validators, artifactsByRef ) {
    //
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function processCompositions( topPage, pageRef ) {
+   function processCompositions( topPage, pageRef, generatedIds ) {
 
       return processNestedCompositions( topPage, pageRef, null, [] );
 
@@ -205,7 +375,7 @@ export function create( validators, artifactsByRef ) {
                if( item.enabled === false ) {
                   return;
                }
-               ensureItemHasId( item );
+               ensureItemHasId( item, generatedIds, instanceId );
                if( !has( item, 'composition' ) ) {
                   return;
                }
@@ -214,10 +384,10 @@ export function create( validators, artifactsByRef ) {
                if( compositionChain.indexOf( compositionRef ) !== -1 ) {
                   const chainString = compositionChain.concat( [ compositionRef ] ).join( ' -> ' );
                   const message = `Cycle in compositions detected: ${chainString}`;
-                  throw formatError( topPage, message );
+                  throw formatError( topPage, message, locateItem( item, '/composition' ) );
                }
 
-               const itemPointer = `/areas/${areaName}/${items.length - index - 1}`;
+               const itemPointer = `/areas/${escapeSegment( areaName )}/${items.length - index - 1}`;
 
                // Compositions must be loaded sequentially, because replacing the widgets in the page needs to
                // take place in order. Otherwise the order of widgets could be messed up.
@@ -232,7 +402,7 @@ export function create( validators, artifactsByRef ) {
                   } )
                   .then( composition => {
                      page.debugInfo.compositions.push( composition.debugInfo );
-                     mergeCompositionAreasWithPageAreas( composition, page.definition, items, item );
+                     mergeCompositionAreasWithPageAreas( composition, page, items, item );
                      validateWidgetItems( composition, compositionRef );
                   } );
             } );
@@ -245,7 +415,20 @@ export function create( validators, artifactsByRef ) {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function mergeCompositionAreasWithPageAreas( composition, definition, containerItems, compositionItem ) {
+   function mergeCompositionAreasWithPageAreas( composition, page, containerItems, compositionItem ) {
+      const { definition } = page;
+      const instance = {
+         id: compositionItem.id,
+         composition: compositionItem.composition,
+         origin: compositionItem[ ORIGIN ]
+      };
+      forEachArea( composition, items => {
+         items.forEach( item => {
+            const origin = item[ ORIGIN ] || {};
+            item[ ORIGIN ] = { ...origin, compositions: [ instance, ...( origin.compositions || [] ) ] };
+         } );
+      } );
+
       forEachArea( composition, (items, areaName) => {
          if( areaName === '.' ) {
             insertAfterEntry( containerItems, compositionItem, items );
@@ -253,14 +436,16 @@ export function create( validators, artifactsByRef ) {
          }
 
          if( !( areaName in definition.areas ) ) {
-            definition.areas[ areaName ] = items;
+            definition.areas[ areaName ] = newItemList( items, page );
             return;
          }
 
-         mergeItemLists( definition.areas[ areaName ], items, definition );
+         mergeItemLists( definition.areas[ areaName ], items, page );
       } );
 
       removeEntry( containerItems, compositionItem );
+      definition[ DISABLED ] = ( definition[ DISABLED ] || [] )
+         .concat( composition.definition[ DISABLED ] || [] );
 
       function insertAfterEntry( arr, entry, replacements ) {
          const index = arr.indexOf( entry );
@@ -285,6 +470,8 @@ export function create( validators, artifactsByRef ) {
             }
          } );
       } );
+      composition.definition[ DISABLED ] = ( composition.definition[ DISABLED ] || [] )
+         .map( id => ( itemIds[ id ] = containerItem.id + ID_SEPARATOR + id ) );
 
       forEachArea( composition, (items, areaName) => {
          const index = areaName.indexOf( '.' );
@@ -316,7 +503,10 @@ export function create( validators, artifactsByRef ) {
       if( validate && !validate( item, `${itemPointer}` ) ) {
          throw validators.error(
             `Validation of page ${containingPageRef} failed for ${ref} features`,
-            validate.errors
+            validate.errors.map( error => ( {
+               ...error,
+               location: locateItem( item, error.dataPath.substr( itemPointer.length ) )
+            } ) )
          );
       }
 
@@ -329,7 +519,9 @@ export function create( validators, artifactsByRef ) {
          } );
       }
 
-      definition.areas = interpolator.interpolate( item, definition.areas );
+      const areas = definition.areas;
+      definition.areas = interpolator.interpolate( item, areas );
+      copyAnnotations( areas, definition.areas );
 
       return composition;
 
@@ -342,9 +534,14 @@ export function create( validators, artifactsByRef ) {
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
    function removeDisabledItems( page ) {
+      const disabledIds = [];
       forEachArea( page, (items, areaName) => {
+         items
+            .filter( _ => _.enabled === false && has( _, 'id' ) )
+            .forEach( ({ id }) => { disabledIds.push( id ); } );
          page.definition.areas[ areaName ] = items.filter( _ => _.enabled !== false );
       } );
+      page.definition[ DISABLED ] = disabledIds;
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -359,7 +556,15 @@ export function create( validators, artifactsByRef ) {
 
       const duplicates = Object.keys( idCount ).filter( id => idCount[ id ] > 1 );
       if( duplicates.length ) {
-         throw formatError( page, `Duplicate widget/composition/layout ID(s): ${duplicates.join( ', ' )}` );
+         let duplicate;
+         forEachArea( page, items => {
+            duplicate = duplicate || items.filter( ({ id }) => id === duplicates[ 0 ] )[ 1 ];
+         } );
+         throw formatError(
+            page,
+            `Duplicate widget/composition/layout ID(s): ${duplicates.join( ', ' )}`,
+            duplicate && locateItem( duplicate, '/id' )
+         );
       }
    }
 
@@ -373,34 +578,168 @@ export function create( validators, artifactsByRef ) {
       };
       const name = [ 'widget', 'composition', 'layout' ]
          .filter( category => item.hasOwnProperty( category ) )
-         .map( category => tables[ category ][ item[ category ] ].name )
+         // artifacts that could not be collected are reported elsewhere, fall back to their ref
+         .map( category => ( tables[ category ][ item[ category ] ] || { name: item[ category ] } ).name )
          .concat( [ '' ] )[ 0 ];
       return name.replace( SEGMENTS_MATCHER, dashToCamelcase );
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function ensureItemHasId( item ) {
+   function ensureItemHasId( item, generatedIds, instanceId ) {
       if( item.hasOwnProperty( 'id' ) ) {
          return;
       }
-      item.id = nextId( itemName( item ) );
+      const origin = item[ ORIGIN ];
+      const key = origin ?
+         `${instanceId || ''}${ID_SEPARATOR}${origin.ref}${origin.pointer}` :
+         `${instanceId || ''}${ID_SEPARATOR}${JSON.stringify( item )}`;
+      item.id = generateId( itemName( item ), key, generatedIds );
    }
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function generateMissingIds( page ) {
+   function generateMissingIds( page, generatedIds ) {
       forEachArea( page, items => {
-         items.forEach( ensureItemHasId );
+         items.forEach( item => ensureItemHasId( item, generatedIds ) );
       } );
    }
 
-   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Describe where an item of an assembled page was declared.
+ *
+ * Example:
+ *
+ *     originOf( page.definition.areas.content[ 0 ] );
+ *     // => {
+ *     //       page: 'my-composition',
+ *     //       file: 'application/pages/my-composition.json',
+ *     //       pointer: '/areas/./0',
+ *     //       line: 5,
+ *     //       column: 10,
+ *     //       compositions: [ {
+ *     //          id: 'myComposition',
+ *     //          composition: 'my-composition',
+ *     //          page: 'my-page',
+ *     //          file: 'application/pages/my-page.json',
+ *     //          pointer: '/areas/content/1',
+ *     //          line: 12,
+ *     //          column: 10
+ *     //       } ]
+ *     //    }
+ *
+ * @param {Object} item an item of a page assembled by a page assembler
+ * @return {Object}
+ *    the `page` (or composition) declaring the item, the `file`, JSON `pointer`, `line` and `column` of
+ *    the declaration (`line` and `column` only if the page was read with source information), and the
+ *    chain of composition instances that the item was expanded from (`compositions`, outermost first),
+ *    each with its `id`, its `composition` ref and the location of its declaration. Returns `null` for
+ *    items that were not assembled
+ */
+export function originOf( item ) {
+   const origin = item && item[ ORIGIN ];
+   if( !origin ) {
+      return null;
+   }
+   return {
+      ...describeOrigin( origin ),
+      compositions: ( origin.compositions || [] ).map( ({ id, composition, origin }) => ( {
+         id,
+         composition,
+         ...describeOrigin( origin )
+      } ) )
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * List the IDs of the items that were removed from an assembled page because they are disabled (using
+ * `enabled: false`), including the disabled items of its base pages, mixins and compositions. Areas that
+ * are provided by these items (`<itemId>.<area>`) are kept by the page assembler, but are never rendered.
+ *
+ * @param {Object} page a page assembled by a page assembler
+ * @return {Array<String>} the IDs of the disabled items (empty for pages that were not assembled)
+ */
+export function disabledIdsOf( page ) {
+   return ( page && page.definition && page.definition[ DISABLED ] ) || [];
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Get the source of the page (or composition) that declared an item of an assembled page, and the JSON
+ * pointer of the declaration within that source. Unlike {@link #originOf}, which describes the location
+ * of the item itself, this allows to locate any of the item's values, for example to map the item back
+ * to its declaration in a source map (see {@link sourceLocations#withSource}).
+ *
+ * @param {Object} item an item of a page assembled by a page assembler
+ * @return {Object}
+ *    the `source` of the declaring page, as recorded by the {@link ArtifactCollector} (or just its `file`
+ *    if the page was read without source information), and the `pointer` of the item within it. Returns
+ *    `null` for items that were not assembled
+ */
+export function sourceOf( item ) {
+   const origin = item && item[ ORIGIN ];
+   if( !origin || !origin.source ) {
+      return null;
+   }
+   return { source: origin.source, pointer: origin.pointer };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-   function nextId( prefix ) {
-      return `${prefix}${ID_SEPARATOR}id${idCounter++}`;
+function describeOrigin( origin ) {
+   if( !origin || !origin.source ) {
+      return {};
    }
+   return {
+      page: origin.page,
+      ...locate( origin.source, origin.pointer )
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function collectOrigins( page ) {
+   const origins = {};
+   forEachArea( page, items => {
+      items.forEach( item => {
+         origins[ item.id ] = originOf( item );
+      } );
+   } );
+   return origins;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Generate an item ID from a key that identifies the item within the assembled page. The hash of the key
+ * is used rather than the key itself to obtain short IDs that are valid topic segments.
+ *
+ * @private
+ * @param {String} prefix the prefix of the ID, derived from the name of the item's artifact
+ * @param {String} key the key identifying the item
+ * @param {Object} generatedIds the IDs generated so far for the page, to avoid (unlikely) collisions
+ * @return {String} the generated ID
+ */
+function generateId( prefix, key, generatedIds ) {
+   let id = `${prefix}${ID_SEPARATOR}id${hash( key )}`;
+   for( let attempt = 1; generatedIds[ id ]; ++attempt ) {
+      id = `${prefix}${ID_SEPARATOR}id${hash( `${key}#${attempt}` )}`;
+   }
+   generatedIds[ id ] = true;
+   return id;
+}
 
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function hash( text ) {
+   return createHash( 'sha1' ).update( text ).digest( 'hex' ).substr( 0, ID_HASH_LENGTH );
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -409,20 +748,92 @@ export function create( validators, artifactsByRef ) {
 //
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Merge the items of an extending page, a mixin or a composition into the existing item list of an area.
+ * Items are appended, unless they use one of the merge directives, referencing an item of the target list
+ * by ID:
+ *
+ *  - `insertBeforeId`: insert the item before the referenced item,
+ *  - `insertAfterId`: insert the item after the referenced item,
+ *  - `replaceId`: replace the referenced item with the item,
+ *  - `removeId`: remove the referenced item (the item itself is not inserted).
+ *
+ * Directives that were already applied when assembling a mixin are not applied again.
+ *
+ * @private
+ * @param {Array<Object>} targetList the item list to modify
+ * @param {Array<Object>} sourceList the items to merge
+ * @param {Object} page the page (or composition) providing the items, for error messages
+ */
 function mergeItemLists( targetList, sourceList, page ) {
    sourceList.forEach( item => {
-      if( item.insertBeforeId ) {
-         for( let i = 0, length = targetList.length; i < length; ++i ) {
-            if( targetList[ i ].id === item.insertBeforeId ) {
-               targetList.splice( i, 0, item );
-               return;
-            }
-         }
+      const directives = item[ MERGED ] ? [] : MERGE_DIRECTIVES.filter( directive => has( item, directive ) );
+      if( directives.length > 1 ) {
+         throw formatError(
+            page,
+            `Item may only use one of ${MERGE_DIRECTIVES.join( ', ' )} (found ${directives.join( ', ' )})`,
+            locateItem( item, `/${directives[ 1 ]}` )
+         );
+      }
+
+      if( !directives.length ) {
+         targetList.push( item );
+         return;
+      }
 
-         throw formatError( page, `No id found that matches insertBeforeId value "${item.insertBeforeId}"` );
+      const directive = directives[ 0 ];
+      const index = targetList.findIndex( ({ id }) => id === item[ directive ] );
+      if( index < 0 ) {
+         throw missingTargetError( item, directive, page );
+      }
+
+      item[ MERGED ] = true;
+      switch( directive ) {
+         case 'insertBeforeId':
+            targetList.splice( index, 0, item );
+            break;
+         case 'insertAfterId':
+            targetList.splice( index + 1, 0, item );
+            break;
+         case 'replaceId':
+            targetList.splice( index, 1, item );
+            break;
+         default: // removeId
+            targetList.splice( index, 1 );
+      }
+   } );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Take the items of an extending page or composition for an area that the merged page does not have yet.
+ * Items using `insertBeforeId` or `insertAfterId` are kept as they are, but items using `replaceId` or
+ * `removeId` are rejected, because the item that they refer to cannot exist.
+ *
+ * @private
+ * @param {Array<Object>} sourceList the items of the extending page or composition
+ * @param {Object} page the page being assembled, for error reporting
+ * @return {Array<Object>} the items of the new area
+ */
+function newItemList( sourceList, page ) {
+   sourceList.filter( item => !item[ MERGED ] ).forEach( item => {
+      const directive = [ 'replaceId', 'removeId' ].filter( directive => has( item, directive ) )[ 0 ];
+      if( directive ) {
+         throw missingTargetError( item, directive, page );
       }
-      targetList.push( item );
    } );
+   return sourceList;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function missingTargetError( item, directive, page ) {
+   return formatError(
+      page,
+      `No id found that matches ${directive} value "${item[ directive ]}"`,
+      locateItem( item, `/${directive}` )
+   );
 }
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -450,7 +861,99 @@ function dashToCamelcase( segmentStart ) {
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-function formatError( page, message ) {
+function formatError( page, message, location ) {
    const text = `Error loading page "${page.name}": ${message}`;
-   return new Error( text );
+   const error = new Error( text );
+   if( location ) {
+      error.location = location;
+   }
+   return error;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+//
+// Tracking the origin of definitions and items to locate errors
+//
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function annotateOrigins( page ) {
+   const source = page.source || { file: page.path };
+   const { definition, name, refs = [ name ] } = page;
+   const ref = refs[ 0 ];
+   definition[ ORIGIN ] = { source, page: name, ref, pointer: '' };
+   Object.keys( definition.areas || {} ).forEach( areaName => {
+      definition.areas[ areaName ].forEach( ( item, index ) => {
+         const pointer = `/areas/${escapeSegment( areaName )}/${index}`;
+         item[ ORIGIN ] = { source, page: name, ref, pointer };
+      } );
+   } );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function cloneAreas( areas ) {
+   const clone = deepClone( areas );
+   copyAnnotations( areas, clone );
+   return clone;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function copyAnnotations( areas, targetAreas ) {
+   const targetNames = Object.keys( targetAreas );
+   Object.keys( areas ).forEach( ( areaName, areaIndex ) => {
+      const targetItems = targetAreas[ targetNames[ areaIndex ] ] || [];
+      areas[ areaName ].forEach( ( item, index ) => {
+         if( !targetItems[ index ] ) {
+            return;
+         }
+         [ ORIGIN, MERGED ].filter( key => item[ key ] ).forEach( key => {
+            targetItems[ index ][ key ] = item[ key ];
+         } );
+      } );
+   } );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function locateItem( item, pointer ) {
+   const origin = item[ ORIGIN ];
+   return origin ? locate( origin.source, origin.pointer + pointer ) : null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Determine the source location of a JSON pointer into an (assembled) page definition, using the origin
+ * of the innermost annotated object along the pointer.
+ *
+ * @private
+ * @param {Object} definition the page definition
+ * @param {String} pointer the JSON pointer into the page definition
+ * @return {Object} the location, as returned by `sourceLocations.locate`, or `null` if unknown
+ */
+function locateIn( definition, pointer ) {
+   const segments = pointer.split( '/' ).slice( 1 );
+   let origin = definition[ ORIGIN ];
+   let rest = segments;
+   let node = definition;
+
+   segments.forEach( ( segment, index ) => {
+      node = node && typeof node === 'object' ? node[ unescapeSegment( segment ) ] : undefined;
+      if( node && node[ ORIGIN ] ) {
+         origin = node[ ORIGIN ];
+         rest = segments.slice( index + 1 );
+      }
+   } );
+
+   return origin ? locate( origin.source, origin.pointer + rest.map( _ => `/${_}` ).join( '' ) ) : null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function locateErrors( definition, errors ) {
+   ( errors || [] ).forEach( error => {
+      error.location = locateIn( definition, error.dataPath || '' );
+   } );
+   return errors;
 }
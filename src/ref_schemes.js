@@ -0,0 +1,148 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Resolve artifact and asset refs, that may be prefixed with a scheme such as `local:` or `module:`.
+ * @module refSchemes
+ */
+'use strict';
+
+import { join } from 'path';
+
+import { wrap } from './promise';
+import { flatten } from './utils';
+
+const DOTSLASH = './';
+function safeJoin( ...args ) {
+   const joined = join(...args);
+   const prefix = args[ 0 ].substr(0, 2) === DOTSLASH ? DOTSLASH : '';
+   return prefix + joined;
+}
+
+const BUILTIN_SCHEMES = {
+   default: {
+      resolve: ( ref, lookupPath, resolve ) => resolve( safeJoin( lookupPath, ref ) ),
+      fallback: [ 'module' ]
+   },
+   local: ( ref, lookupPath, resolve ) => resolve( safeJoin( lookupPath, ref ) ),
+   module: {
+      resolve: ( ref, lookupPath, resolve ) => resolve( ref ),
+      relative: false
+   },
+   amd: { // backwards compatibility
+      resolve: ( ref, lookupPath, resolve ) => resolve( ref ),
+      relative: false
+   }
+};
+
+/**
+ * Create a function to resolve refs using the built-in and the given custom schemes.
+ *
+ * The built-in schemes are `local` (relative to the lookup path), `module` (using `resolve` as is, for
+ * example to find artifacts in installed packages), `amd` (an alias of `module`) and `default` (used for
+ * refs without a scheme, trying `local` first and falling back to `module`).
+ *
+ * Example:
+ *
+ *     const resolveRef = refSchemes.create( resolve, {
+ *        shared: ( ref, lookupPath, resolve ) => resolve( path.join( '/company/shared', ref ) ),
+ *        default: { fallback: [ 'shared', 'module' ] }
+ *     } );
+ *     resolveRef( 'shared:my-widget/widget.json', 'application/widgets' );
+ *     // => Promise( '/company/shared/my-widget/widget.json' )
+ *     resolveRef.locate( 'my-widget/widget.json', [ 'application/widgets', 'shared/widgets' ] );
+ *     // => Promise( { path: 'shared/widgets/my-widget/widget.json', root: 'shared/widgets' } )
+ *
+ * @param {Function} resolve
+ *    a function resolving a given file path, returning it as a `String` or asynchronously, and throwing
+ *    or rejecting the promise if the file does not exist
+ * @param {Object} [schemes]
+ *    custom schemes by name, overriding built-in schemes of the same name. Each scheme is either a
+ *    resolution function or an object with an optional `resolve` function (default: that of the
+ *    overridden built-in scheme), an optional `fallback` list of scheme names that are tried in order
+ *    if the resolution function fails, and a `relative` flag that should be set to `false` if the scheme
+ *    does not use the lookup path (default: `true`). A resolution function receives the ref (without the
+ *    scheme), the lookup path and the `resolve` function, and returns the resolved path, either directly
+ *    or asynchronously
+ * @return {Function}
+ *    a function accepting a ref and a lookup path (or a list of lookup paths, that are tried in order
+ *    for each scheme), and returning a promise for the resolved path. The function has a
+ *    `locate( ref, lookupPaths )` method that resolves to an object with the resolved `path` and the
+ *    lookup path (`root`) that it was found in (`null` for schemes that are not relative), and a
+ *    `hasScheme( ref )` method to check if a ref is prefixed with a known scheme
+ */
+export function create( resolve, schemes = {} ) {
+   const table = {};
+   Object.keys( BUILTIN_SCHEMES ).concat( Object.keys( schemes ) ).forEach( name => {
+      const builtin = normalizeScheme( BUILTIN_SCHEMES[ name ] );
+      const custom = normalizeScheme( schemes[ name ] );
+      if( !custom.resolve && !builtin.resolve ) {
+         throw new Error( `Scheme "${name}" is missing a resolve function` );
+      }
+      table[ name ] = {
+         resolve: wrap( custom.resolve || builtin.resolve ),
+         fallback: custom.fallback || builtin.fallback || [],
+         relative: [ custom.relative, builtin.relative, true ].filter( _ => _ !== undefined )[ 0 ]
+      };
+   } );
+
+   Object.keys( table ).forEach( name => {
+      const unknown = table[ name ].fallback.filter( fallback => !table[ fallback ] );
+      if( unknown.length ) {
+         throw new Error( `Unknown fallback scheme "${unknown[ 0 ]}" for scheme "${name}"` );
+      }
+   } );
+
+   resolveRef.locate = locate;
+   resolveRef.hasScheme = hasScheme;
+   return resolveRef;
+
+   function resolveRef( ref, lookupPaths ) {
+      return locate( ref, lookupPaths ).then( ({ path }) => path );
+   }
+
+   function locate( ref, lookupPaths ) {
+      const { name, path } = splitRef( ref );
+
+      if( !table[ name ] ) {
+         return Promise.reject( new Error( `Unknown scheme "${name}" in ref "${ref}"` ) );
+      }
+
+      const roots = [].concat( lookupPaths );
+      const attempts = flatten( [ name, ...table[ name ].fallback ].map( name => {
+         const scheme = table[ name ];
+         return scheme.relative ?
+            roots.map( root => ( { scheme, root, lookupPath: root } ) ) :
+            [ { scheme, root: null, lookupPath: roots[ 0 ] } ];
+      } ) );
+
+      return attempts.reduce(
+         ( promise, { scheme, root, lookupPath } ) => promise.catch( () => scheme
+            .resolve( path, lookupPath, resolve )
+            .then( path => ( { path, root } ) ) ),
+         Promise.reject()
+      );
+   }
+
+   function hasScheme( ref ) {
+      const { name } = splitRef( ref );
+      return name !== 'default' && !!table[ name ];
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function splitRef( ref ) {
+   const index = ref.indexOf( ':' );
+   return index < 0 ?
+      { name: 'default', path: ref } :
+      { name: ref.substr( 0, index ) || 'default', path: ref.substr( index + 1 ) };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function normalizeScheme( scheme = {} ) {
+   return typeof scheme === 'function' ? { resolve: scheme } : scheme;
+}
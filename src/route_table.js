@@ -0,0 +1,167 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Build a normalized table of the URL routes defined by the places of the collected flows, for use by
+ * tools such as end-to-end tests or reverse proxy configurations.
+ * @module routeTable
+ */
+'use strict';
+
+import { placePatterns } from './flow_graph';
+
+export default { buildRoutes, toJson, toText };
+
+const INDENT = 3;
+const COLUMN_GAP = 2;
+
+/**
+ * Build the route table of the given flows. Each URL pattern of each place becomes a route. Places
+ * without `patterns` are addressed by their name (see {@link flowGraph#placePatterns}).
+ *
+ * The parameters of a route are the parameters of its pattern (such as `id` in `/user/:id`), followed by
+ * any other `defaultParameters` of the place, which can only be passed as query parameters.
+ *
+ * Example:
+ *
+ *     buildRoutes( collectedArtifacts.flows );
+ *     // => [ {
+ *     //       flow: 'main',
+ *     //       pattern: '/',
+ *     //       place: 'entry',
+ *     //       page: null,
+ *     //       parameters: [],
+ *     //       redirectTo: { place: 'user', pattern: '/user/:id' }
+ *     //    }, {
+ *     //       flow: 'main',
+ *     //       pattern: '/user/:id',
+ *     //       place: 'user',
+ *     //       page: 'user',
+ *     //       parameters: [
+ *     //          { name: 'id', defaultValue: 'me', query: false },
+ *     //          { name: 'tab', defaultValue: 'profile', query: true }
+ *     //       ],
+ *     //       redirectTo: null
+ *     //    } ]
+ *
+ * @param {Array<Object>} flows the flow artifacts as returned by the {@link ArtifactCollector}
+ * @return {Array<Object>}
+ *    a route for each pattern, with the `flow` name, the `pattern`, the `place` name, the ref of the
+ *    target `page` (or `null`), the `parameters` with their `name`, their `defaultValue` (or `null`) and
+ *    whether they are `query` parameters, and the place that the route redirects to (or `null`), along
+ *    with its first `pattern` (or `null` if that place does not exist)
+ */
+export function buildRoutes( flows ) {
+   const routes = [];
+   flows.forEach( flow => {
+      const places = ( flow.definition && flow.definition.places ) || {};
+      Object.keys( places ).forEach( placeName => {
+         const place = places[ placeName ];
+         const { defaultParameters = {} } = place;
+         placePatterns( placeName, place ).forEach( pattern => {
+            const names = patternParameters( pattern );
+            const queryNames = Object.keys( defaultParameters ).filter( name => names.indexOf( name ) < 0 );
+            const parameter = query => name => ( {
+               name,
+               defaultValue: defaultParameters.hasOwnProperty( name ) ? defaultParameters[ name ] : null,
+               query
+            } );
+
+            routes.push( {
+               flow: flow.name,
+               pattern,
+               place: placeName,
+               page: place.page || null,
+               parameters: [ ...names.map( parameter( false ) ), ...queryNames.map( parameter( true ) ) ],
+               redirectTo: place.redirectTo ? {
+                  place: place.redirectTo,
+                  pattern: places.hasOwnProperty( place.redirectTo ) ?
+                     placePatterns( place.redirectTo, places[ place.redirectTo ] )[ 0 ] :
+                     null
+               } : null
+            } );
+         } );
+      } );
+   } );
+   return routes;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Export a route table as JSON.
+ *
+ * @param {Array<Object>} routes the routes, as returned by {@link #buildRoutes}
+ * @param {Number} [indent] the number of spaces to use for indent
+ * @return {String} the JSON text, ending with a newline
+ */
+export function toJson( routes, indent = INDENT ) {
+   return `${JSON.stringify( routes, null, indent )}\n`;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Export a route table as plain text, with one line per route and aligned columns for the pattern, the
+ * place, the target and the parameters of each route. The target is either `page:<ref>` or
+ * `redirect:<pattern>` (or `redirect:<place>` if the pattern is not known), or `-` for places without
+ * a page. Parameters are listed with their default value, if any (objects and arrays as JSON), and query
+ * parameters are prefixed with `?`.
+ *
+ * Example:
+ *
+ *     toText( buildRoutes( collectedArtifacts.flows ) );
+ *     // => '/          entry  redirect:/user/:id\n' +
+ *     //    '/user/:id  user   page:user           id=me ?tab=profile\n'
+ *
+ * @param {Array<Object>} routes the routes, as returned by {@link #buildRoutes}
+ * @return {String} the text, ending with a newline (empty if there are no routes)
+ */
+export function toText( routes ) {
+   const rows = routes.map( route => [
+      route.pattern,
+      route.place,
+      targetOf( route ),
+      route.parameters.map( ({ name, defaultValue, query }) =>
+         `${query ? '?' : ''}${name}${defaultValue === null ? '' : `=${formatValue( defaultValue )}`}` )
+         .join( ' ' )
+   ] );
+
+   const widths = [ 0, 1, 2 ].map( column =>
+      Math.max( 0, ...rows.map( row => row[ column ].length ) ) + COLUMN_GAP );
+   return rows
+      .map( row => row.map( ( cell, column ) => pad( cell, widths[ column ] || 0 ) ).join( '' ) )
+      .map( line => `${line.replace( /\s+$/, '' )}\n` )
+      .join( '' );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function patternParameters( pattern ) {
+   return pattern.split( '/' )
+      .filter( segment => segment.charAt( 0 ) === ':' )
+      .map( segment => segment.substr( 1 ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function targetOf( { page, redirectTo } ) {
+   if( redirectTo ) {
+      return `redirect:${redirectTo.pattern || redirectTo.place}`;
+   }
+   return page ? `page:${page}` : '-';
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function formatValue( value ) {
+   return typeof value === 'object' ? JSON.stringify( value ) : String( value );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function pad( text, width ) {
+   return `${text}${' '.repeat( Math.max( 0, width - text.length ) )}`;
+}
@@ -9,9 +9,12 @@
  */
 'use strict';
 
+import { SOURCE, locate, escapeSegment } from './source_locations';
+
 const LIST_LENGTH = 90;
 const INDENT = 3;
 const SPACE = ' ';
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
 /**
  * Serialize the given object to valid, human-readable JavaScript.
@@ -57,6 +60,48 @@ export default function serialize( object, indent = INDENT, pad = 0, space = SPA
    return serializeValue( object, indent, pad, space );
 }
 
+/**
+ * Serialize the given object like {@link serialize}, and create a source map for the result.
+ *
+ * Objects that were annotated with their source (see {@link sourceLocations#withSource}), such as the
+ * descriptors and definitions of an artifact listing built from artifacts collected with the `readFile`
+ * option, are mapped back to the JSON files they were read from. Each of their values and properties is
+ * mapped to its original line and column.
+ *
+ * Example:
+ *
+ *     const { code, map } = serializeWithSourceMap( listing, { file: 'artifacts.js' } );
+ *     fs.writeFileSync( 'artifacts.js', `${code}\n//# sourceMappingURL=artifacts.js.map\n` );
+ *     fs.writeFileSync( 'artifacts.js.map', JSON.stringify( map ) );
+ *
+ * @param {Object} object the object to serialize
+ * @param {Object} [options] additional options
+ * @param {String} [options.file] the name of the generated file, to be recorded in the source map
+ * @param {Number} [options.indent] the number of spaces to use for indent
+ * @param {Number} [options.pad] the initial left padding
+ * @param {String} [options.space] the character(s) to use for padding
+ * @param {Number} [options.line]
+ *    the (zero-based) line of the generated file at which the code is inserted, if it is preceded by
+ *    other code
+ * @param {Number} [options.column]
+ *    the (zero-based) column of that line at which the code is inserted
+ *
+ * @return {Object}
+ *    the serialized JavaScript `code` and the `map` (a source map object, version 3)
+ */
+export function serializeWithSourceMap( object, options = {} ) {
+   const { file, indent = INDENT, pad = 0, space = SPACE, line = 0, column = 0 } = options;
+   const { code, mappings } = serializeChunk( object, indent, pad, space, null );
+   return {
+      code,
+      map: sourceMap( file, mappings.map( mapping => ( {
+         ...mapping,
+         line: mapping.line + line,
+         column: mapping.line === 0 ? mapping.column + column : mapping.column
+      } ) ) )
+   };
+}
+
 /**
  * Serialize an array.
  * @private
@@ -104,6 +149,23 @@ function serializeList( elements, indent = INDENT, pad = 0, space ) {
       return '';
    }
 
+   const { leader, trailer, separator } = listLayout( elements, indent, pad, space );
+   const body = elements.join( separator );
+
+   return `${leader}${body}${trailer}`;
+}
+
+/**
+ * Determine how to lay out the body of a list or object: on a single line, if it is short enough and
+ * none of its elements spans multiple lines, or with one element per line otherwise.
+ * @private
+ * @param {Array<String>} elements the serialized elements or key-value pairs
+ * @param {Number} [indent] the number of spaces to use for indent
+ * @param {Number} [pad] the initial left padding
+ * @param {String} [space] the character(s) to use for padding
+ * @return {Object} the `leader`, `trailer` and `separator` to put around and between the elements
+ */
+function listLayout( elements, indent, pad, space ) {
    const length = elements.reduce( ( sum, e ) => sum + e.length + 2, pad );
    const multiline = elements.some( element => /\n/.test( element ) );
    const compact = length < LIST_LENGTH && !multiline;
@@ -112,9 +174,104 @@ function serializeList( elements, indent = INDENT, pad = 0, space ) {
    const trailer = compact ? ' ' : `\n${spaces( pad, space )}`;
    const separator = `,${leader}`;
 
-   const body = elements.join( separator );
+   return { leader, trailer, separator };
+}
 
-   return `${leader}${body}${trailer}`;
+/**
+ * Serialize a value, keeping track of the positions in the generated code that correspond to values
+ * with a known source.
+ * @private
+ * @param {Object} object the object to serialize
+ * @param {Number} [indent] the number of spaces to use for indent
+ * @param {Number} [pad] the initial left padding
+ * @param {String} [space] the character(s) to use for padding
+ * @param {Object} [origin] the `source` and JSON `pointer` of the object, if known
+ * @return {Object} the serialized `code` and its `mappings`
+ */
+function serializeChunk( object, indent, pad, space, origin ) {
+   if( object === null ) {
+      return mark( chunk( 'null' ), origin );
+   }
+   if( object === undefined ) {
+      return mark( chunk( 'undefined' ), origin );
+   }
+
+   if( typeof object === 'function' ) {
+      return chunk( leftpad( object(), pad, space ) );
+   }
+
+   const objectOrigin = object[ SOURCE ] ?
+      { source: object[ SOURCE ], pointer: object[ SOURCE ].pointer || '' } :
+      origin;
+
+   if( Array.isArray( object ) ) {
+      return mark( serializeArrayChunk( object, indent, pad, space, objectOrigin ), objectOrigin );
+   }
+
+   if( typeof object === 'object' ) {
+      return mark( serializeObjectChunk( object, indent, pad, space, objectOrigin ), objectOrigin );
+   }
+
+   return mark( chunk( serializeValue( object, indent, pad, space ) ), origin );
+}
+
+/**
+ * Serialize an array, keeping track of the positions of values with a known source.
+ * @private
+ * @param {Array} array the array to serialize
+ * @param {Number} [indent] the number of spaces to use for indent
+ * @param {Number} [pad] the initial left padding
+ * @param {String} [space] the character(s) to use for padding
+ * @param {Object} [origin] the `source` and JSON `pointer` of the array, if known
+ * @return {Object} the serialized `code` and its `mappings`
+ */
+function serializeArrayChunk( array, indent = INDENT, pad = 0, space, origin ) {
+   const elements = array
+      .map( ( element, index ) =>
+         serializeChunk( element, indent, pad + indent, space, member( origin, index ) ) );
+
+   return concat( '[', serializeListChunk( elements, indent, pad, space ), ']' );
+}
+
+/**
+ * Serialize an object, keeping track of the positions of values with a known source.
+ * @private
+ * @param {Object} object the object to serialize
+ * @param {Number} [indent] the number of spaces to use for indent
+ * @param {Number} [pad] the initial left padding
+ * @param {String} [space] the character(s) to use for padding
+ * @param {Object} [origin] the `source` and JSON `pointer` of the object, if known
+ * @return {Object} the serialized `code` and its `mappings`
+ */
+function serializeObjectChunk( object, indent = INDENT, pad = 0, space, origin ) {
+   const properties = Object.keys( object )
+      .map( key => mark( concat(
+         serializeKey( key ) + ': ',
+         serializeChunk( object[ key ], indent, pad + indent, space, member( origin, key ) )
+      ), member( origin, key ) ) );
+
+   return concat( '{', serializeListChunk( properties, indent, pad, space ), '}' );
+}
+
+/**
+ * Serialize the body of a list or object, keeping track of the positions of values with a known source.
+ * @private
+ * @param {Array<Object>} elements the serialized elements or key-value pairs
+ * @param {Number} [indent] the number of spaces to use for indent
+ * @param {Number} [pad] the initial left padding
+ * @param {String} [space] the character(s) to use for padding
+ * @return {Object} the serialized `code` and its `mappings`
+ */
+function serializeListChunk( elements, indent = INDENT, pad = 0, space ) {
+   if( elements.length === 0 ) {
+      return chunk( '' );
+   }
+
+   const { leader, trailer, separator } = listLayout( elements.map( _ => _.code ), indent, pad, space );
+   const body = elements.reduce( ( parts, element, index ) =>
+      index ? [ ...parts, separator, element ] : [ element ], [] );
+
+   return concat( leader, ...body, trailer );
 }
 
 /**
@@ -174,3 +331,133 @@ function spaces( number = 0, space = SPACE ) {
 function leftpad( string, pad, space ) {
    return string.split( '\n' ).join( `\n${spaces( pad, space )}` );
 }
+
+/**
+ * Create a piece of generated code.
+ * @private
+ * @param {String} code the generated code
+ * @param {Array<Object>} [mappings] the mappings of positions in the code to original positions
+ * @return {Object} the `code` and its `mappings`
+ */
+function chunk( code, mappings = [] ) {
+   return { code, mappings };
+}
+
+/**
+ * Join pieces of generated code, moving their mappings accordingly.
+ * @private
+ * @param {...(Object|String)} chunks the pieces of code to join
+ * @return {Object} the joined `code` and its `mappings`
+ */
+function concat( ...chunks ) {
+   let line = 0;
+   let column = 0;
+   const mappings = [];
+
+   chunks.map( _ => ( typeof _ === 'string' ? chunk( _ ) : _ ) ).forEach( ({ code, mappings: own }) => {
+      own.forEach( mapping => {
+         mappings.push( {
+            ...mapping,
+            line: mapping.line + line,
+            column: mapping.line === 0 ? mapping.column + column : mapping.column
+         } );
+      } );
+      const lines = code.split( '\n' );
+      line += lines.length - 1;
+      column = ( lines.length > 1 ? 0 : column ) + lines[ lines.length - 1 ].length;
+   } );
+
+   return chunk( chunks.map( _ => ( typeof _ === 'string' ? _ : _.code ) ).join( '' ), mappings );
+}
+
+/**
+ * Map the start of a piece of generated code to the original position of a value.
+ * @private
+ * @param {Object} generated the piece of generated code
+ * @param {Object} [origin] the `source` and JSON `pointer` of the value, if known
+ * @return {Object} the `code` and its `mappings`
+ */
+function mark( generated, origin ) {
+   const location = origin && locate( origin.source, origin.pointer );
+   if( !location || !location.line ) {
+      return generated;
+   }
+   return chunk( generated.code, [ { line: 0, column: 0, location }, ...generated.mappings ] );
+}
+
+/**
+ * Determine the origin of a member of an object or array.
+ * @private
+ * @param {Object} [origin] the `source` and JSON `pointer` of the object or array, if known
+ * @param {String|Number} key the object key or array index
+ * @return {Object} the `source` and JSON `pointer` of the member, or `null` if unknown
+ */
+function member( origin, key ) {
+   return origin && { source: origin.source, pointer: `${origin.pointer}/${escapeSegment( key )}` };
+}
+
+/**
+ * Create a source map (version 3) from a list of mappings.
+ * @private
+ * @param {String} [file] the name of the generated file
+ * @param {Array<Object>} mappings
+ *    the mappings of (zero-based) generated `line` and `column` to an original `location`
+ * @return {Object} the source map
+ */
+function sourceMap( file, mappings ) {
+   const sources = mappings
+      .map( ({ location }) => location.file )
+      .filter( ( source, index, sources ) => sources.indexOf( source ) === index );
+
+   const lines = [];
+   mappings.forEach( mapping => {
+      ( lines[ mapping.line ] = lines[ mapping.line ] || [] ).push( mapping );
+   } );
+
+   const previous = { source: 0, line: 0, column: 0 };
+   const encoded = Array.from( lines, ( segments = [] ) => {
+      let generatedColumn = 0;
+      return segments
+         .filter( ( segment, index ) => index === 0 || segment.column !== segments[ index - 1 ].column )
+         .map( ({ column, location }) => {
+            const fields = [
+               column - generatedColumn,
+               sources.indexOf( location.file ) - previous.source,
+               ( location.line - 1 ) - previous.line,
+               ( location.column - 1 ) - previous.column
+            ];
+            generatedColumn = column;
+            previous.source = sources.indexOf( location.file );
+            previous.line = location.line - 1;
+            previous.column = location.column - 1;
+            return fields.map( vlq ).join( '' );
+         } )
+         .join( ',' );
+   } );
+
+   return {
+      version: 3,
+      ...( file ? { file } : {} ),
+      sources,
+      names: [],
+      mappings: encoded.join( ';' )
+   };
+}
+
+/**
+ * Encode a number as a base64 VLQ, as used by source maps.
+ * @private
+ * @param {Number} value the number to encode
+ * @return {String} the encoded number
+ */
+function vlq( value ) {
+   // the sign is stored in the least significant bit, each digit has five bits and a continuation bit
+   let rest = value < 0 ? ( -value * 2 ) + 1 : value * 2;
+   let encoded = '';
+   do {
+      const digit = rest % 32;
+      rest = Math.floor( rest / 32 );
+      encoded += BASE64[ rest > 0 ? digit + 32 : digit ];
+   } while( rest > 0 );
+   return encoded;
+}
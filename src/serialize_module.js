@@ -0,0 +1,193 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Serialize artifact listings to ES modules.
+ * @module serializeModule
+ */
+'use strict';
+
+import { basename } from 'path';
+
+import serialize, { serializeWithSourceMap } from './serialize';
+import { SOURCE, withSource } from './source_locations';
+
+const IMPORT = Symbol( 'import' );
+const INDENT = 3;
+
+/**
+ * Serialize the given listing to the text of an ES module, that exports the listing as its default.
+ *
+ * All module references created with {@link #importRef} (as done by the {@link ArtifactListing} with
+ * the `format: "esm"` option) are hoisted to `import` declarations with generated identifiers. Other
+ * functions are serialized as usual (see {@link serialize}).
+ *
+ * If the listing is the `core` listing created by {@link ArtifactListing#buildSplitArtifacts}, each of its
+ * `chunks` receives a `load` function, that imports the chunk module on demand using `import()`.
+ *
+ * Use {@link #serializeModuleWithSourceMap} to also create a source map for the module.
+ *
+ * Example:
+ *
+ *     serializeModule( {
+ *        widgets: [ { module: importRef( 'module!path/to/my-widget' ) } ]
+ *     } );
+ *     // => 'import _my_widget from \'module!path/to/my-widget\';\n\nexport default { ... };\n'
+ *
+ * @param {Object} listing the listing to serialize
+ * @param {Object} [options] additional options
+ * @param {Function} [options.chunkModule]
+ *    a function that returns the module specifier for the chunk of the given name. Required if the listing
+ *    has `chunks`
+ * @param {Number} [options.indent]
+ *    the number of spaces to use for indent
+ * @return {String} the text of the ES module
+ */
+export default function serializeModule( listing, options = {} ) {
+   return buildModule( listing, options, ( hoisted, indent ) => ( {
+      code: serialize( hoisted, indent )
+   } ) ).code;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Serialize the given listing to the text of an ES module, just like {@link serializeModule}, and create a
+ * source map for it. The source map points the generated code of each value that has a known source (see
+ * {@link serialize#serializeWithSourceMap}) to its source location, taking the `import` declarations that
+ * precede the listing into account.
+ *
+ * @param {Object} listing the listing to serialize
+ * @param {Object} [options] additional options
+ * @param {Function} [options.chunkModule]
+ *    a function that returns the module specifier for the chunk of the given name. Required if the listing
+ *    has `chunks`
+ * @param {Number} [options.indent]
+ *    the number of spaces to use for indent
+ * @param {String} [options.file]
+ *    the name of the generated file, to be recorded in the source map
+ * @return {Object}
+ *    the text of the ES module (`code`) and the `map` (a source map object, version 3)
+ */
+export function serializeModuleWithSourceMap( listing, options = {} ) {
+   const { file } = options;
+   return buildModule( listing, options, ( hoisted, indent, line, column ) =>
+      serializeWithSourceMap( hoisted, { file, indent, line, column } ) );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Hoist the module references of a listing to `import` declarations and serialize the module text.
+ *
+ * @private
+ * @param {Object} listing the listing to serialize
+ * @param {Object} options the options passed to {@link serializeModule}
+ * @param {Function} serializeBody
+ *    a function that serializes the hoisted listing, given the indent and the (zero-based) line and column
+ *    at which it is inserted, and returns an object with its `code` (and, optionally, its `map`)
+ * @return {Object} the result of `serializeBody`, with the `code` of the entire module
+ */
+function buildModule( listing, options, serializeBody ) {
+   const { chunkModule, indent = INDENT } = options;
+   const identifiers = {};
+   const imports = [];
+
+   const hoisted = hoist( withChunkLoaders( listing, chunkModule ) );
+   const declarations = imports.map( ({ identifier, specifier }) =>
+      `import ${identifier} from ${quote( specifier )};\n` );
+   const header = `${declarations.join( '' )}${declarations.length ? '\n' : ''}`;
+   const prefix = 'export default ';
+
+   const result = serializeBody( hoisted, indent, header.split( '\n' ).length - 1, prefix.length );
+   return { ...result, code: `${header}${prefix}${result.code};\n` };
+
+   function hoist( value ) {
+      if( typeof value === 'function' && value[ IMPORT ] ) {
+         const identifier = identifierFor( value[ IMPORT ] );
+         return () => identifier;
+      }
+      if( Array.isArray( value ) ) {
+         return withSource( value.map( hoist ), value[ SOURCE ] );
+      }
+      if( value && typeof value === 'object' ) {
+         const result = {};
+         Object.keys( value ).forEach( key => {
+            result[ key ] = hoist( value[ key ] );
+         } );
+         return withSource( result, value[ SOURCE ] );
+      }
+      return value;
+   }
+
+   function identifierFor( specifier ) {
+      if( !identifiers.hasOwnProperty( specifier ) ) {
+         identifiers[ specifier ] = uniqueIdentifier( specifier );
+         imports.push( { identifier: identifiers[ specifier ], specifier } );
+      }
+      return identifiers[ specifier ];
+   }
+
+   function uniqueIdentifier( specifier ) {
+      const path = specifier.substr( specifier.lastIndexOf( '!' ) + 1 );
+      const candidate = `_${basename( path ).replace( /[^A-Za-z0-9_$]+/g, '_' )}`;
+      const taken = identifier => imports.some( _ => _.identifier === identifier );
+
+      let identifier = candidate;
+      for( let index = 2; taken( identifier ); ++index ) {
+         identifier = `${candidate}_${index}`;
+      }
+      return identifier;
+   }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Create a reference to a module, that is hoisted to an `import` declaration by {@link serializeModule}.
+ * When serialized using {@link serialize} instead, it is written as a `require` call.
+ *
+ * @param {String} specifier the module specifier to import, optionally prefixed by a loader
+ * @return {Function} the module reference, to be embedded into a listing
+ */
+export function importRef( specifier ) {
+   const ref = () => `require( ${quote( specifier )} )`;
+   ref[ IMPORT ] = specifier;
+   return ref;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Add a `load` function to each chunk entry of a core listing.
+ *
+ * @private
+ * @param {Object} listing the listing to serialize
+ * @param {Function} chunkModule a function returning the module specifier of a chunk
+ * @return {Object} a copy of the listing with chunk loaders, or the listing itself if it has no chunks
+ */
+function withChunkLoaders( listing, chunkModule ) {
+   if( !listing.chunks ) {
+      return listing;
+   }
+   if( !chunkModule ) {
+      throw new Error( 'Option "chunkModule" is required to serialize a listing with chunks' );
+   }
+
+   const chunks = {};
+   Object.keys( listing.chunks ).forEach( name => {
+      chunks[ name ] = {
+         ...listing.chunks[ name ],
+         load: () => `() => import( ${quote( chunkModule( name ) )} )`
+      };
+   } );
+   return { ...listing, chunks };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function quote( specifier ) {
+   return `'${specifier.replace( /\\/g, '\\\\' ).replace( /'/g, '\\\'' )}'`;
+}
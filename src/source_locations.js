@@ -0,0 +1,220 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Helpers to map JSON pointers to lines and columns of the JSON source they were parsed from.
+ * @module sourceLocations
+ */
+'use strict';
+
+import jsonlint from 'jsonlint';
+
+const TOKENS = jsonlint.parser.symbols_;
+
+/**
+ * The key under which {@link #withSource} stores the source of a value, along with the JSON `pointer` of
+ * the value within its source, if the value is not the root of the source.
+ * @type {Symbol}
+ */
+export const SOURCE = Symbol( 'source' );
+
+/**
+ * Parse the given JSON source text and record the position of every value in it.
+ *
+ * Example:
+ *
+ *     parse( '{\n   "layout": "one-column"\n}', 'path/to/page.json' );
+ *     // => {
+ *     //       value: { layout: 'one-column' },
+ *     //       source: {
+ *     //          file: 'path/to/page.json',
+ *     //          positions: {
+ *     //             '': { line: 1, column: 1 },
+ *     //             '/layout': { line: 2, column: 4 }
+ *     //          }
+ *     //       }
+ *     //    }
+ *
+ * @param {String} text the JSON source text to parse
+ * @param {String} file the path of the file that the text was read from
+ * @return {Object}
+ *    the parsed `value` and its `source`, which contains the `file` and the `positions` of all values,
+ *    indexed by JSON pointer. The position of an object member is that of its key
+ */
+export function parse( text, file ) {
+   let value;
+   try {
+      value = JSON.parse( text );
+   }
+   catch( err ) {
+      // jsonlint is not used for parsing valid JSON as it does not handle all escape sequences, but its
+      // error messages include the line and context of the syntax error
+      jsonlint.parse( text );
+      throw err;
+   }
+
+   return {
+      value,
+      source: {
+         file,
+         positions: scanPositions( text )
+      }
+   };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Find the position of a JSON pointer within a source. If the pointer does not exist in the source (for
+ * example, because it refers to a default value that was added by validation), the position of the
+ * closest existing parent is used.
+ *
+ * @param {Object} source a source as returned by {@link #parse}
+ * @param {String} pointer the JSON pointer to locate
+ * @return {Object}
+ *    the `file`, `pointer`, `line` and `column` of the location, or `null` if the source is unknown.
+ *    Lines and columns start at 1. If no positions were recorded for the source, only the `file` and
+ *    `pointer` are given
+ */
+export function locate( source, pointer ) {
+   if( !source ) {
+      return null;
+   }
+
+   const location = { file: source.file, pointer };
+   if( !source.positions ) {
+      return location;
+   }
+
+   let candidate = pointer;
+   while( !source.positions[ candidate ] && candidate !== '' ) {
+      candidate = candidate.substr( 0, candidate.lastIndexOf( '/' ) );
+   }
+
+   return { ...location, ...source.positions[ candidate ] };
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Annotate a parsed JSON object or array with its source, so that serialized copies can be mapped back to
+ * the JSON file (see {@link serialize#serializeWithSourceMap}).
+ *
+ * @param {Object|Array} value the value that was parsed from the source
+ * @param {Object} [source] a source as returned by {@link #parse}
+ * @param {String} [pointer] the JSON pointer of the value within the source (default: the root)
+ * @return {Object|Array}
+ *    a shallow copy of the value, that references the source under the {@link #SOURCE} key, or the value
+ *    itself if it has no source or is not an object
+ */
+export function withSource( value, source, pointer = '' ) {
+   if( !source || !value || typeof value !== 'object' ) {
+      return value;
+   }
+   const copy = Array.isArray( value ) ? [ ...value ] : { ...value };
+   copy[ SOURCE ] = pointer ? { ...source, pointer } : source;
+   return copy;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Add a `location` to each of the given Ajv errors, based on their `dataPath`.
+ *
+ * @param {Object} source a source as returned by {@link #parse}, describing the validated data
+ * @param {Array<Object>} errors the Ajv errors to modify
+ * @return {Array<Object>} the modified errors
+ */
+export function locateErrors( source, errors ) {
+   ( errors || [] ).forEach( error => {
+      error.location = locate( source, error.dataPath || '' );
+   } );
+   return errors;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Escape a key for use as a JSON pointer segment.
+ *
+ * @param {String} key the object key or array index
+ * @return {String} the escaped segment
+ */
+export function escapeSegment( key ) {
+   return `${key}`.replace( /~/g, '~0' ).replace( /\//g, '~1' );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Unescape a JSON pointer segment.
+ *
+ * @param {String} segment the escaped segment
+ * @return {String} the object key or array index
+ */
+export function unescapeSegment( segment ) {
+   return segment.replace( /~1/g, '/' ).replace( /~0/g, '~' );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Tokenize valid JSON text and determine the position of each value.
+ *
+ * @private
+ * @param {String} text the JSON text
+ * @return {Object} a map from JSON pointers to `{ line, column }` objects
+ */
+function scanPositions( text ) {
+   const lexer = Object.create( jsonlint.parser.lexer );
+   const positions = {};
+   let token;
+   let position;
+
+   lexer.setInput( text );
+   advance();
+   scanValue( '', position );
+
+   return positions;
+
+   function advance() {
+      token = lexer.lex();
+      position = { line: lexer.yylloc.first_line, column: lexer.yylloc.first_column + 1 };
+   }
+
+   function scanValue( pointer, valuePosition ) {
+      positions[ pointer ] = valuePosition;
+
+      if( token === TOKENS[ '{' ] ) {
+         advance();
+         while( token === TOKENS.STRING ) {
+            const key = JSON.parse( `"${lexer.yytext}"` );
+            const keyPosition = position;
+            advance(); // key
+            advance(); // colon
+            scanValue( `${pointer}/${escapeSegment( key )}`, keyPosition );
+            if( token === TOKENS[ ',' ] ) {
+               advance();
+            }
+         }
+         advance(); // closing brace
+         return;
+      }
+
+      if( token === TOKENS[ '[' ] ) {
+         advance();
+         for( let index = 0; token !== TOKENS[ ']' ]; ++index ) {
+            scanValue( `${pointer}/${index}`, position );
+            if( token === TOKENS[ ',' ] ) {
+               advance();
+            }
+         }
+         advance(); // closing bracket
+         return;
+      }
+
+      advance();
+   }
+}
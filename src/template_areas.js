@@ -0,0 +1,298 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+/**
+ * Read the areas declared by the HTML templates of layouts and widgets, and check the areas of assembled
+ * pages against them.
+ * @module templateAreas
+ */
+'use strict';
+
+import { originOf, disabledIdsOf } from './page_assembler';
+import defaults from './defaults';
+
+export default { create };
+
+// matches (data-)ax-area and (data-)ax-widget-area, with double-quoted, single-quoted or unquoted values
+const AREA_MATCHER = new RegExp(
+   '\\s(?:data-)?ax-(?:widget-)?area\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\s"\'>]+))',
+   'g'
+);
+
+/**
+ * Create a reader for the areas declared by layout and widget templates.
+ *
+ * Example:
+ *
+ *     const templateAreas = create( { resolve, readFile } );
+ *     templateAreas.areasOf( layout, themes )
+ *        .then( areas => {
+ *           assert( areas === null || Array.isArray( areas ) );
+ *        } );
+ *
+ * @param {Object} [options] additional options
+ * @param {Function} [options.resolve]
+ *    a function resolving a given file path, returning it as a `String` or asynchronously
+ * @param {Object} [options.schemes]
+ *    custom ref schemes for asset paths, see {@link refSchemes#create}
+ * @param {Function} [options.readFile]
+ *    a function accepting a file path and returning the contents of the file as a `String`, either
+ *    directly or asynchronously
+ * @param {Object} [options.fileContents]
+ *    an in-memory map of file paths to file contents, used if `readFile` is omitted
+ * @param {Function} [options.assetResolver]
+ *    override the default asset resolver created with the `resolve` callback
+ *
+ * @return {TemplateAreas} the created reader
+ */
+export function create( options = {} ) {
+
+   const {
+      assetResolver,
+      readText
+   } = defaults( options );
+
+   /**
+    * @name TemplateAreas
+    * @constructor
+    */
+   return {
+      areasOf
+   };
+
+   //////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   /**
+    * Read the areas declared by the HTML template of a layout or widget. The template is given by the
+    * `templateSource` of the artifact descriptor (default: `<name>.html`) and looked up for the given
+    * themes, just like the {@link ArtifactListing} does.
+    *
+    * @memberOf TemplateAreas
+    * @param {Object} artifact
+    *    a layout or widget artifact as returned by the {@link ArtifactCollector}
+    * @param {Array<Object>} themes
+    *    the themes to search for the template, as returned by {@link ArtifactCollector#collectThemes}
+    * @return {Promise<Array<String>>}
+    *    a promise for the names of the declared areas, or for `null` if the template cannot be read
+    */
+   function areasOf( artifact, themes ) {
+      if( !readText ) {
+         return Promise.resolve( null );
+      }
+
+      const template = ( artifact.descriptor || {} ).templateSource || `${artifact.name}.html`;
+      return assetResolver.resolveThemedAssets( artifact, themes, [ template ] )
+         .then( assets => assets[ template ] ? readText( assets[ template ] ) : null )
+         .then( html => html === null ? null : extractAreas( html ), () => null );
+   }
+
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Extract the names of the areas declared in an HTML template using `data-ax-area` attributes (or
+ * `data-ax-widget-area` attributes, as used by widget templates). The attributes may also be used without
+ * the `data-` prefix.
+ *
+ * Example:
+ *
+ *     extractAreas( '<div data-ax-area="header"></div><div data-ax-area="content"></div>' );
+ *     // => [ 'header', 'content' ]
+ *
+ * @param {String} html the template
+ * @return {Array<String>} the area names, each listed once, in the order of their first declaration
+ */
+export function extractAreas( html ) {
+   const areas = [];
+   let match;
+   AREA_MATCHER.lastIndex = 0;
+   while( ( match = AREA_MATCHER.exec( String( html ) ) ) ) {
+      const area = [ match[ 1 ], match[ 2 ], match[ 3 ] ].filter( _ => _ !== undefined )[ 0 ];
+      if( areas.indexOf( area ) < 0 ) {
+         areas.push( area );
+      }
+   }
+   return areas;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Check that the areas of an assembled page are provided by its layout, or by the layouts and widgets
+ * embedded into the page as items (using areas named `<itemId>.<area>`).
+ *
+ * @param {Object} page a page assembled by the page assembler
+ * @param {Function} layoutAreas
+ *    a function returning the names of the areas declared by the layout with the given ref, or `null` if
+ *    these are not known
+ * @param {Function} [widgetAreas]
+ *    a function returning the names of the areas declared by the widget with the given ref, or `null` if
+ *    these are not known. As widgets may also provide areas from their code (e.g. using the `axAreaHelper`
+ *    injection), widgets are only checked if their template declares at least one area
+ * @return {Array<Object>}
+ *    a problem for each area without a provider, with its `message` and the `location` of the first item
+ *    placed into the area. Areas of items that do not exist on the page are reported as well, unless the
+ *    items were disabled (see {@link pageAssembler#disabledIdsOf})
+ */
+export function unprovidedAreas( page, layoutAreas, widgetAreas = () => null ) {
+   const disabledIds = disabledIdsOf( page );
+   const problems = [];
+   forEachFilledArea( page, ( name, items, provider, area ) => {
+      const report = message => {
+         problems.push( { message, location: locationOf( items[ 0 ] ) } );
+      };
+      if( !provider && disabledIds.indexOf( splitArea( name )[ 0 ] ) >= 0 ) {
+         return;
+      }
+      if( !provider ) {
+         report( `Area "${name}" refers to unknown item ID "${splitArea( name )[ 0 ]}"` );
+         return;
+      }
+
+      const category = [ 'layout', 'widget' ].filter( _ => has( provider, _ ) )[ 0 ];
+      const provided = { layout: layoutAreas, widget: widgetAreas }[ category ];
+      const areas = provided && provided( provider[ category ] );
+      if( !areas || ( category === 'widget' && !areas.length ) ) {
+         return;
+      }
+      if( areas.indexOf( area ) < 0 ) {
+         report( `Area "${name}" is not provided by ${category} "${provider[ category ]}"` );
+      }
+   } );
+   return problems;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Find items of an assembled page that are (indirectly) placed into an area that they provide themselves,
+ * so that they can never be rendered.
+ *
+ * Example:
+ *
+ *     circularAreas( { definition: { areas: {
+ *        'a.content': [ { id: 'b', widget: 'box' } ],
+ *        'b.content': [ { id: 'a', widget: 'box' } ]
+ *     } } } );
+ *     // => [ { message: 'Circular nesting of areas: b -> a -> b', location: ... } ]
+ *
+ * Each item of a cycle is followed by the item providing the area it is placed into.
+ *
+ * @param {Object} page a page assembled by the page assembler
+ * @return {Array<Object>}
+ *    a problem for each cycle, with its `message` and the `location` of the item where it was detected
+ */
+export function circularAreas( page ) {
+   const { areas = {} } = page.definition;
+   const containers = {};
+   Object.keys( areas ).forEach( name => {
+      areas[ name ].forEach( item => {
+         containers[ item.id ] = splitArea( name )[ 0 ];
+      } );
+   } );
+
+   const problems = [];
+   const reported = {};
+   Object.keys( areas ).forEach( name => {
+      areas[ name ].forEach( item => {
+         const chain = [ item.id ];
+         let container = containers[ item.id ];
+         while( container && chain.indexOf( container ) < 0 ) {
+            chain.push( container );
+            container = containers[ container ];
+         }
+         if( container !== item.id ) {
+            return;
+         }
+         const key = chain.slice().sort().join( ' ' );
+         if( !reported[ key ] ) {
+            reported[ key ] = true;
+            problems.push( {
+               message: `Circular nesting of areas: ${chain.concat( [ item.id ] ).join( ' -> ' )}`,
+               location: locationOf( item )
+            } );
+         }
+      } );
+   } );
+   return problems;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * List the areas of each layout that are filled by an assembled page, either by the page layout or by
+ * layouts embedded into the page as items. The page layout is listed even if no area is filled.
+ *
+ * @param {Object} page a page assembled by the page assembler
+ * @return {Object} the names of the filled areas (each listed once) by layout ref
+ */
+export function filledAreas( page ) {
+   const { layout } = page.definition;
+   const filled = layout ? { [ layout ]: [] } : {};
+   forEachFilledArea( page, ( name, items, provider, area ) => {
+      if( !provider || !has( provider, 'layout' ) ) {
+         return;
+      }
+      filled[ provider.layout ] = filled[ provider.layout ] || [];
+      if( filled[ provider.layout ].indexOf( area ) < 0 ) {
+         filled[ provider.layout ].push( area );
+      }
+   } );
+   return filled;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Call the given function for each non-empty area of the page, along with the item providing the area.
+ * For the top-level areas of the page, a pseudo item with the page layout is used.
+ *
+ * @private
+ * @param {Object} page an assembled page
+ * @param {Function} f
+ *    a function called with the area name, the items of the area, the item providing the area (or `null`
+ *    if there is no such item) and the area name within that item
+ */
+function forEachFilledArea( page, f ) {
+   const { areas = {}, layout } = page.definition;
+   Object.keys( areas ).filter( name => areas[ name ].length ).forEach( name => {
+      const [ itemId, area ] = splitArea( name );
+      const provider = itemId === null ? { layout } : findItem( areas, itemId );
+      f( name, areas[ name ], provider, area );
+   } );
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function has( object, key ) {
+   return typeof object[ key ] === 'string' && object[ key ].length > 0;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function splitArea( name ) {
+   const index = name.indexOf( '.' );
+   return index > 0 ? [ name.substr( 0, index ), name.substr( index + 1 ) ] : [ null, name ];
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function findItem( areas, id ) {
+   return Object.keys( areas )
+      .map( name => areas[ name ].filter( item => item.id === id )[ 0 ] )
+      .filter( item => !!item )[ 0 ] || null;
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+function locationOf( item ) {
+   const origin = originOf( item );
+   if( !origin || !origin.file ) {
+      return null;
+   }
+   const { file, pointer, line, column } = origin;
+   return line === undefined ? { file, pointer } : { file, pointer, line, column };
+}
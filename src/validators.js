@@ -11,22 +11,58 @@
 
 export default { create };
 
+const PAGE_PROPERTIES = {
+   mixins: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'The names of the pages to mix in, after the base page and in the given order.'
+   },
+   overrideLayout: {
+      type: 'boolean',
+      description: 'Set to true to replace the layout inherited from the base page or a mixin.'
+   }
+};
+
+const ITEM_PROPERTIES = {
+   insertAfterId: {
+      type: 'string',
+      description: 'The ID of the item that this item should be inserted after.'
+   },
+   replaceId: {
+      type: 'string',
+      description: 'The ID of the item that this item should replace.'
+   },
+   removeId: {
+      type: 'string',
+      description: 'The ID of the item that should be removed.'
+   }
+};
+
 /**
  * Create validation functions from the given artifacts. Compiles all schemas listed in the artifacts
  * object including schema descriptions in widget descriptors and page composition definitions.
  *
+ * The `page` schema is extended with the properties that the page assembler supports in addition to
+ * those declared by LaxarJS: the page `mixins` and `overrideLayout`, and the merge directives
+ * `insertAfterId`, `replaceId` and `removeId` of area items. Properties that are already declared by the
+ * schema are left as they are.
+ *
  * @param {Ajv} ajv tha ajv instance to use for validation
  * @param {Object} artifacts the artifacts to build validators from
+ * @param {Function} [report]
+ *    if given, schemas that fail to compile are skipped and reported by calling this function with the
+ *    category of the artifact, the artifact and the error. Otherwise, the error is thrown
  *
  * @return {Object} an object containg validation functions.
  */
-export function create( ajv, { schemas, pages, widgets } ) {
+export function create( ajv, { schemas, pages, widgets }, report ) {
 
    const validators = compileSchemas(
       schemas,
-      ({ definition }) => definition,
+      ({ name, definition }) => ( name === 'page' ? extendPageSchema( definition ) : definition ),
       ajv.compile,
-      {}
+      {},
+      report && ( ( artifact, error ) => report( 'schemas', artifact, error ) )
    );
 
    const features = {
@@ -34,13 +70,15 @@ export function create( ajv, { schemas, pages, widgets } ) {
          pages,
          ({ definition }) => definition.features,
          ajv.compile,
-         { isFeaturesValidator: true, interpolateExpressions: true }
+         { isFeaturesValidator: true, interpolateExpressions: true },
+         report && ( ( artifact, error ) => report( 'pages', artifact, error ) )
       ),
       widgets: compileSchemas(
          widgets,
          ({ descriptor }) => descriptor.features,
          ajv.compile,
-         { isFeaturesValidator: true }
+         { isFeaturesValidator: true },
+         report && ( ( artifact, error ) => report( 'widgets', artifact, error ) )
       )
    };
 
@@ -53,14 +91,24 @@ export function create( ajv, { schemas, pages, widgets } ) {
 
 ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
-function compileSchemas( artifacts, get, compile, options ) {
+function compileSchemas( artifacts, get, compile, options, onError ) {
    return ( artifacts || [] )
       .reduce( ( schemas, artifact ) => {
          const schema = get( artifact );
 
          if( schema ) {
             const { refs } = artifact;
-            const validate = compile( schema, refs.join( ', ' ), options );
+            let validate;
+            try {
+               validate = compile( schema, refs.join( ', ' ), options );
+            }
+            catch( error ) {
+               if( !onError ) {
+                  throw error;
+               }
+               onError( artifact, error );
+               return schemas;
+            }
             refs.forEach( ref => {
                schemas[ ref ] = validate;
             } );
@@ -68,3 +116,39 @@ function compileSchemas( artifacts, get, compile, options ) {
          return schemas;
       }, {} );
 }
+
+///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Add the properties supported by the page assembler to a page schema and to the item schemas of its
+ * areas.
+ *
+ * @private
+ * @param {Object} schema the page schema, as provided by LaxarJS
+ * @return {Object} a copy of the schema with the additional properties
+ */
+function extendPageSchema( schema ) {
+   const areas = schema && schema.properties && schema.properties.areas;
+   if( !areas || !areas.patternProperties ) {
+      return schema;
+   }
+
+   const patternProperties = {};
+   Object.keys( areas.patternProperties ).forEach( pattern => {
+      const area = areas.patternProperties[ pattern ];
+      const items = area.items || {};
+      patternProperties[ pattern ] = {
+         ...area,
+         items: { ...items, properties: { ...ITEM_PROPERTIES, ...items.properties } }
+      };
+   } );
+
+   return {
+      ...schema,
+      properties: {
+         ...PAGE_PROPERTIES,
+         ...schema.properties,
+         areas: { ...areas, patternProperties }
+      }
+   };
+}
@@ -0,0 +1,148 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import data from './data/artifacts_complete_expected.json';
+import { splitArtifacts, chunkPageRefs } from '../src/artifact_chunks';
+
+describe( 'artifactChunks', () => {
+
+   const names = artifacts => Object.keys( artifacts )
+      .filter( category => [ 'pages', 'layouts', 'widgets', 'controls' ].indexOf( category ) >= 0 )
+      .reduce( ( list, category ) => list.concat( artifacts[ category ]
+         .map( ({ name }) => `${category}/${name}` ) ), [] );
+
+   const artifact = ( category, name, references = {} ) => ( {
+      category,
+      name,
+      refs: [ name ],
+      ...references
+   } );
+
+   const shared = {
+      flows: [
+         artifact( 'flows', 'main', { pages: [ 'home', 'details' ] } ),
+         artifact( 'flows', 'admin', { pages: [ 'settings' ] } )
+      ],
+      pages: [
+         artifact( 'pages', 'home', { pages: [ 'base' ], layouts: [ 'one-column' ], widgets: [ 'list' ] } ),
+         artifact( 'pages', 'details', {
+            pages: [ 'base' ],
+            layouts: [ 'one-column' ],
+            widgets: [ 'form' ]
+         } ),
+         artifact( 'pages', 'settings', { pages: [], layouts: [ 'two-columns' ], widgets: [ 'form' ] } ),
+         artifact( 'pages', 'base', { pages: [], layouts: [], widgets: [ 'header' ] } )
+      ],
+      layouts: [
+         artifact( 'layouts', 'one-column' ),
+         artifact( 'layouts', 'two-columns' )
+      ],
+      widgets: [
+         artifact( 'widgets', 'list', { controls: [ 'input' ] } ),
+         artifact( 'widgets', 'form', { controls: [ 'input' ] } ),
+         artifact( 'widgets', 'header', { controls: [] } )
+      ],
+      controls: [
+         artifact( 'controls', 'input' )
+      ]
+   };
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.splitArtifacts( artifacts, split )', () => {
+
+      it( 'creates a chunk for each page that is not only used as a base page', () => {
+         const { core, chunks } = splitArtifacts( data, 'pages' );
+         expect( Object.keys( chunks ) ).to.eql( [ 'page1', 'page2' ] );
+         expect( names( chunks.page1 ) ).to.eql( [ 'pages/page1', 'layouts/layout1' ] );
+         expect( names( chunks.page2 ) ).to.eql( [
+            'pages/page2',
+            'layouts/layout2',
+            'widgets/widget1',
+            'widgets/widget2',
+            'controls/control1'
+         ] );
+         expect( names( core ) ).to.eql( [] );
+      } );
+
+      it( 'creates a chunk for each flow', () => {
+         const { core, chunks } = splitArtifacts( shared, 'flows' );
+         expect( Object.keys( chunks ) ).to.eql( [ 'main', 'admin' ] );
+         expect( names( chunks.main ) ).to.eql( [
+            'pages/home',
+            'pages/details',
+            'pages/base',
+            'layouts/one-column',
+            'widgets/list',
+            'widgets/header'
+         ] );
+         expect( names( chunks.admin ) ).to.eql( [ 'pages/settings', 'layouts/two-columns' ] );
+         expect( names( core ) ).to.eql( [ 'widgets/form', 'controls/input' ] );
+      } );
+
+      it( 'keeps artifacts that are used by multiple chunks in the core', () => {
+         const { core, chunks } = splitArtifacts( shared, 'pages' );
+         expect( Object.keys( chunks ) ).to.eql( [ 'home', 'details', 'settings' ] );
+         expect( names( chunks.home ) ).to.eql( [ 'pages/home', 'widgets/list' ] );
+         expect( names( chunks.details ) ).to.eql( [ 'pages/details' ] );
+         expect( names( chunks.settings ) ).to.eql( [ 'pages/settings', 'layouts/two-columns' ] );
+         expect( names( core ) ).to.eql( [
+            'pages/base',
+            'layouts/one-column',
+            'widgets/form',
+            'widgets/header',
+            'controls/input'
+         ] );
+      } );
+
+      it( 'keys the chunks by ref, so that artifacts of the same name do not replace each other', () => {
+         const { core, chunks } = splitArtifacts( {
+            flows: [ artifact( 'flows', 'main', { pages: [ 'shop/home', 'admin/home' ] } ) ],
+            pages: [
+               { ...artifact( 'pages', 'home', { layouts: [ 'one-column' ] } ), refs: [ 'shop/home' ] },
+               { ...artifact( 'pages', 'home', { layouts: [ 'two-columns' ] } ), refs: [ 'admin/home' ] }
+            ],
+            layouts: shared.layouts
+         }, 'pages' );
+         expect( Object.keys( chunks ) ).to.eql( [ 'shop/home', 'admin/home' ] );
+         expect( names( chunks[ 'shop/home' ] ) ).to.eql( [ 'pages/home', 'layouts/one-column' ] );
+         expect( names( chunks[ 'admin/home' ] ) ).to.eql( [ 'pages/home', 'layouts/two-columns' ] );
+         expect( names( core ) ).to.eql( [] );
+      } );
+
+      it( 'keeps the artifacts of other categories in the core', () => {
+         const { core } = splitArtifacts( data, 'pages' );
+         expect( core.flows ).to.equal( data.flows );
+         expect( core.themes ).to.equal( data.themes );
+         expect( core.schemas ).to.equal( data.schemas );
+      } );
+
+      it( 'throws an error for unknown split modes', () => {
+         expect( () => splitArtifacts( data, 'widgets' ) )
+            .to.throw( 'Unknown split mode "widgets", expected one of: flows, pages' );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.chunkPageRefs( chunk )', () => {
+
+      it( 'lists the names and refs of the pages of a chunk', () => {
+         const chunk = {
+            pages: [
+               { name: 'home', refs: [ 'home', 'start/home' ] },
+               { name: 'base', refs: [ 'base' ] }
+            ]
+         };
+         expect( chunkPageRefs( chunk ) ).to.eql( [ 'home', 'start/home', 'base' ] );
+      } );
+
+   } );
+
+} );
@@ -139,4 +139,589 @@ describe( 'artifactCollector', () => {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   describe( '.collectOrphans( entries )', () => {
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         resolve: ref => data.resolve[ ref ] ? Promise.resolve( data.resolve[ ref ] ) : Promise.reject(),
+         readJson: filepath => data.files[ filepath ],
+         listFiles: directory => data.listFiles[ directory ] || Promise.reject()
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'reports artifacts that are not reachable from the entries', () => {
+         return collector.collectOrphans( data.entries.orphans )
+            .then( orphans => {
+               const orphan = ( category, ref, path, reason ) => ( { category, ref, path, reason } );
+               expect( orphans ).to.eql( [
+                  orphan( 'pages', 'page1', '/app/x-pages/page1.json', 'unreferenced' ),
+                  orphan( 'pages', 'page2', '/app/x-pages/page2.json', 'unreferenced' ),
+                  orphan( 'layouts', 'layout2', '/app/x-layouts/layout2', 'unreferenced' ),
+                  orphan( 'widgets', 'widget2', '/app/x-widgets/widget2', 'unreferenced' ),
+                  orphan( 'widgets', 'widget4', '/app/x-widgets/widget4', 'disabled' )
+               ] );
+            } );
+      } );
+
+      it( 'requires the listFiles option', () => {
+         const collectorWithoutListFiles = artifactCollector.create( { readJson() {} } );
+         return collectorWithoutListFiles.collectOrphans( data.entries.orphans )
+            .then( () => expect.fail(), err => {
+               expect( err.message ).to.eql( 'Required option "listFiles" missing' );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with the aggregateErrors option', () => {
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         aggregateErrors: true,
+         resolve: ref => data.resolve[ ref ] ? Promise.resolve( data.resolve[ ref ] ) : Promise.reject(),
+         readJson: filepath => data.files[ filepath ]
+      } );
+
+      const errorFor = ( artifacts, ref ) => artifacts.errors.filter( error => error.ref === ref )[ 0 ];
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'returns the artifacts that could be collected', () => {
+         return collector.collectArtifacts( data.entries.broken )
+            .then( artifacts => {
+               expect( artifacts.pages.map( _ => _.name ) ).to.eql( [ 'page5' ] );
+               expect( artifacts.widgets.map( _ => _.name ) ).to.eql( [ 'widget1' ] );
+               expect( artifacts.layouts.map( _ => _.name ) ).to.eql( [ 'layout1' ] );
+            } );
+      } );
+
+      it( 'lists every artifact that could not be collected', () => {
+         return collector.collectArtifacts( data.entries.broken )
+            .then( artifacts => {
+               expect( artifacts.errors ).to.have.a.lengthOf( 2 );
+               expect( errorFor( artifacts, 'page6' ) ).to.include( {
+                  category: 'pages',
+                  path: null
+               } );
+               expect( errorFor( artifacts, 'widget5' ) ).to.include( {
+                  category: 'widgets',
+                  path: null
+               } );
+            } );
+      } );
+
+      it( 'describes the chain of referrers for each error', () => {
+         return collector.collectArtifacts( data.entries.broken )
+            .then( artifacts => {
+               expect( errorFor( artifacts, 'page6' ).referrers ).to.eql( [
+                  { category: 'flows', ref: 'flow6', path: '/app/x-flows/flow6.json' }
+               ] );
+               expect( errorFor( artifacts, 'widget5' ).referrers ).to.eql( [
+                  { category: 'flows', ref: 'flow6', path: '/app/x-flows/flow6.json' },
+                  { category: 'pages', ref: 'page5', path: '/app/x-pages/page5.json' }
+               ] );
+            } );
+      } );
+
+      it( 'has no errors if all artifacts could be collected', () => {
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               expect( artifacts.errors ).to.eql( [] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with the readFile option', () => {
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         resolve: ref => data.resolve[ ref ] ? Promise.resolve( data.resolve[ ref ] ) : Promise.reject(),
+         readFile: filepath => data.files[ filepath ] ?
+            Promise.resolve( JSON.stringify( data.files[ filepath ], null, 3 ) ) :
+            Promise.reject( new Error( `Cannot read ${filepath}` ) )
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'parses the files that were read', () => {
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               expect( artifacts.pages[ 0 ].definition ).to.eql( data.files[ artifacts.pages[ 0 ].path ] );
+            } );
+      } );
+
+      it( 'records the source positions of the artifact definitions and descriptors', () => {
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               const [ flow ] = artifacts.flows;
+               const [ widget ] = artifacts.widgets;
+               expect( flow.source.file ).to.eql( flow.path );
+               expect( flow.source.positions ).to.include.key( '/places' );
+               expect( widget.source.file ).to.eql( `${widget.path}/widget.json` );
+               expect( widget.source.positions[ '' ] ).to.eql( { line: 1, column: 1 } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with the categories option', () => {
+
+      const files = {
+         ...data.files,
+         '/app/x-widgets/widget1/widget.json': {
+            ...data.files[ '/app/x-widgets/widget1/widget.json' ],
+            mocks: [ 'mock1', 'mock1' ]
+         },
+         '/app/x-mocks/mock1/mock.json': { name: 'mock-one', bundles: [ 'common/en' ] },
+         '/app/x-i18n/common/en.json': { hello: 'Hello' }
+      };
+      const resolved = {
+         ...data.resolve,
+         'x-mocks/mock1/mock.json': '/app/x-mocks/mock1/mock.json',
+         'x-i18n/common/en.json': '/app/x-i18n/common/en.json'
+      };
+      const categories = [ {
+         name: 'mocks',
+         path: 'x-mocks',
+         descriptor: 'mock.json',
+         referencedBy: 'widgets'
+      }, {
+         name: 'i18n',
+         path: 'x-i18n',
+         referencedBy: 'mocks',
+         field: 'bundles',
+         follow: artifact => Promise.resolve( { ...artifact, keys: Object.keys( artifact.definition ) } )
+      } ];
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         categories,
+         resolve: ref => resolved[ ref ] ? Promise.resolve( resolved[ ref ] ) : Promise.reject(),
+         readJson: filepath => files[ filepath ]
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'collects the artifacts of registered categories', () => {
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               expect( artifacts.mocks ).to.eql( [ {
+                  refs: [ 'mock1' ],
+                  roots: { mock1: 'x-mocks' },
+                  name: 'mock-one',
+                  path: '/app/x-mocks/mock1',
+                  descriptor: files[ '/app/x-mocks/mock1/mock.json' ],
+                  category: 'mocks',
+                  schemas: [],
+                  i18n: [ 'common/en' ]
+               } ] );
+               expect( artifacts.i18n ).to.eql( [ {
+                  refs: [ 'common/en' ],
+                  roots: { 'common/en': 'x-i18n' },
+                  name: 'en',
+                  path: '/app/x-i18n/common/en.json',
+                  definition: { hello: 'Hello' },
+                  descriptor: { name: 'en' },
+                  category: 'i18n',
+                  schemas: [],
+                  keys: [ 'hello' ]
+               } ] );
+            } );
+      } );
+
+      it( 'lists the refs of registered categories on the referencing artifacts', () => {
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               const widget1 = artifacts.widgets.filter( _ => _.name === 'widget1' )[ 0 ];
+               const widget2 = artifacts.widgets.filter( _ => _.name === 'widget2' )[ 0 ];
+               expect( widget1.mocks ).to.eql( [ 'mock1' ] );
+               expect( widget2.mocks ).to.eql( [] );
+            } );
+      } );
+
+      it( 'follows refs of registered categories listed in the entries', () => {
+         return collector.collectCategory( 'i18n', [ { i18n: [ 'common/en' ] } ] )
+            .then( i18n => {
+               expect( i18n.map( _ => _.name ) ).to.eql( [ 'en' ] );
+            } );
+      } );
+
+      it( 'rejects categories referenced by unknown categories', () => {
+         expect( () => artifactCollector.create( {
+            readJson() {},
+            categories: [ { name: 'mocks', referencedBy: 'examples' } ]
+         } ) ).to.throw( 'Unknown artifact category "examples" referencing "mocks"' );
+      } );
+
+      it( 'rejects categories that are already registered', () => {
+         expect( () => artifactCollector.create( {
+            readJson() {},
+            categories: [ { name: 'widgets', referencedBy: 'pages' } ]
+         } ) ).to.throw( 'Artifact category "widgets" is already registered' );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with the fileContents option', () => {
+
+      const fileContents = {};
+      Object.keys( data.resolve )
+         .filter( ref => data.files[ data.resolve[ ref ] ] )
+         .forEach( ref => {
+            fileContents[ ref ] = data.files[ data.resolve[ ref ] ];
+         } );
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         fileContents
+      } );
+
+      const names = artifacts => artifacts.map( _ => _.name );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'reads and resolves files from the given file contents', () => {
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               expect( names( artifacts.flows ) ).to.eql( [ 'flow4' ] );
+               expect( names( artifacts.pages ) ).to.eql( [ 'page1', 'page2' ] );
+               expect( artifacts.pages[ 0 ].path ).to.eql( 'x-pages/page1.json' );
+               expect( names( artifacts.widgets ) ).to.eql( [ 'widget1', 'widget2' ] );
+               expect( names( artifacts.controls ) ).to.eql( [ 'control1' ] );
+            } );
+      } );
+
+      it( 'parses file contents given as text', () => {
+         const collector = artifactCollector.create( {
+            paths: data.paths,
+            fileContents: {
+               ...fileContents,
+               'x-pages/page1.json': Promise.resolve( '{ "layout": "layout2", "areas": {} }' )
+            }
+         } );
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               expect( artifacts.pages[ 0 ].definition ).to.eql( { layout: 'layout2', areas: {} } );
+               expect( names( artifacts.layouts ) ).to.eql( [ 'layout2' ] );
+            } );
+      } );
+
+      it( 'lists files of the given file contents to find orphans', () => {
+         return collector.collectOrphans( data.entries.orphans )
+            .then( orphans => {
+               expect( orphans ).to.deep.include( {
+                  category: 'widgets',
+                  ref: 'widget2',
+                  path: 'x-widgets/widget2',
+                  reason: 'unreferenced'
+               } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with the schemes option', () => {
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         schemes: {
+            libs: ( ref, lookupPath, resolve ) => resolve( `libs:${ref}` )
+         },
+         resolve: ref => ref.indexOf( 'libs:' ) === 0 ?
+            Promise.resolve( `/app/libs/${ref.substr( 5 )}` ) :
+            Promise.reject(),
+         readJson: filepath => data.files[ filepath ]
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'resolves refs with custom schemes', () => {
+         return collector.collectControls( [ { controls: [ 'libs:control1' ] } ] )
+            .then( controls => {
+               expect( controls[ 0 ] ).to.include( {
+                  name: 'control1',
+                  path: '/app/libs/control1'
+               } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with multiple lookup paths per category', () => {
+
+      const resolved = {
+         ...data.resolve,
+         'x-shared/widget1/widget.json': '/app/x-shared/widget1/widget.json',
+         'x-shared/widget3/widget.json': '/app/x-shared/widget3/widget.json'
+      };
+      const files = {
+         ...data.files,
+         '/app/x-shared/widget1/widget.json': { name: 'shared-widget1' },
+         '/app/x-shared/widget3/widget.json': { name: 'widget3' }
+      };
+
+      const collector = artifactCollector.create( {
+         paths: { ...data.paths, widgets: [ 'x-widgets', 'x-shared' ] },
+         resolve: ref => resolved[ ref ] ? Promise.resolve( resolved[ ref ] ) : Promise.reject(),
+         readJson: filepath => files[ filepath ],
+         listFiles: directory => directory === 'x-shared' ?
+            [ 'widget1/widget.json', 'widget3/widget.json' ] :
+            data.listFiles[ directory ] || []
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'searches the lookup paths in turn', () => {
+         return collector.collectWidgets( [ { widgets: [ 'widget1', 'widget3' ] } ] )
+            .then( widgets => {
+               expect( widgets.map( _ => _.path ) ).to.eql( [
+                  '/app/x-widgets/widget1',
+                  '/app/x-shared/widget3'
+               ] );
+            } );
+      } );
+
+      it( 'records the lookup path that satisfied each ref', () => {
+         return collector.collectWidgets( [ { widgets: [ 'widget1', 'widget3' ] } ] )
+            .then( widgets => {
+               expect( widgets.map( _ => _.roots ) ).to.eql( [
+                  { widget1: 'x-widgets' },
+                  { widget3: 'x-shared' }
+               ] );
+            } );
+      } );
+
+      it( 'reports artifacts shadowed by an earlier lookup path as orphans', () => {
+         return collector.collectOrphans( data.entries[ 'complete flow' ] )
+            .then( orphans => {
+               const widgets = orphans.filter( _ => _.category === 'widgets' );
+               expect( widgets.map( ({ path, reason }) => `${path} (${reason})` ) ).to.eql( [
+                  '/app/x-widgets/widget4 (unreferenced)',
+                  '/app/x-shared/widget1 (unreferenced)',
+                  '/app/x-shared/widget3 (disabled)'
+               ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectArtifacts( entries ) with artifacts of the same name at different paths', () => {
+
+      const resolved = {
+         ...data.resolve,
+         'x-flows/conflicts.json': '/app/x-flows/conflicts.json',
+         'x-pages/conflicts.json': '/app/x-pages/conflicts.json',
+         'x-widgets/other/widget1/widget.json': '/app/x-widgets/other/widget1/widget.json'
+      };
+      const files = {
+         ...data.files,
+         '/app/x-flows/conflicts.json': { places: { a: { page: 'page2' }, b: { page: 'conflicts' } } },
+         '/app/x-pages/conflicts.json': {
+            layout: 'layout1',
+            areas: { main: [ { widget: 'other/widget1' } ] }
+         },
+         '/app/x-widgets/other/widget1/widget.json': { name: 'widget1' }
+      };
+      const entries = [ { flows: [ 'conflicts' ], themes: [ 'default' ] } ];
+
+      const createCollector = more => artifactCollector.create( {
+         paths: data.paths,
+         resolve: ref => resolved[ ref ] ? Promise.resolve( resolved[ ref ] ) : Promise.reject(),
+         readJson: filepath => files[ filepath ],
+         ...more
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects with both paths and the referring artifacts', () => {
+         return createCollector().collectArtifacts( entries )
+            .then( () => expect.fail(), err => {
+               expect( err.message ).to.eql(
+                  'Conflicting widgets named "widget1": ' +
+                  '/app/x-widgets/widget1 (referenced by pages/page2), ' +
+                  '/app/x-widgets/other/widget1 (referenced by pages/conflicts)'
+               );
+               expect( err.paths ).to.eql( [ '/app/x-widgets/widget1', '/app/x-widgets/other/widget1' ] );
+            } );
+      } );
+
+      it( 'lists the conflict with the aggregateErrors option', () => {
+         return createCollector( { aggregateErrors: true } ).collectArtifacts( entries )
+            .then( artifacts => {
+               expect( artifacts.errors ).to.have.a.lengthOf( 1 );
+               expect( artifacts.errors[ 0 ] ).to.include( {
+                  category: 'widgets',
+                  ref: 'widget1',
+                  path: '/app/x-widgets/widget1'
+               } );
+               expect( artifacts.errors[ 0 ].paths )
+                  .to.eql( [ '/app/x-widgets/widget1', '/app/x-widgets/other/widget1' ] );
+            } );
+      } );
+
+      it( 'uses the artifact chosen by the nameConflicts option for all refs', () => {
+         return Promise.all( [ 'first', 'last', candidates => candidates[ 1 ] ]
+            .map( nameConflicts => createCollector( { nameConflicts } ).collectArtifacts( entries ) ) )
+            .then( results => {
+               const widget1 = results
+                  .map( artifacts => artifacts.widgets.filter( _ => _.name === 'widget1' ) );
+               expect( widget1.map( _ => _.length ) ).to.eql( [ 1, 1, 1 ] );
+               expect( widget1.map( _ => _[ 0 ].path ) ).to.eql( [
+                  '/app/x-widgets/widget1',
+                  '/app/x-widgets/other/widget1',
+                  '/app/x-widgets/other/widget1'
+               ] );
+               expect( widget1[ 0 ][ 0 ].refs ).to.eql( [ 'widget1', 'other/widget1' ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectThemes( entries ) with themes extending other themes', () => {
+
+      const resolved = {
+         ...data.resolve,
+         'x-themes/child.theme/theme.json': '/app/x-themes/child.theme/theme.json',
+         'x-themes/base.theme/theme.json': '/app/x-themes/base.theme/theme.json'
+      };
+      const files = {
+         ...data.files,
+         '/app/x-themes/child.theme/theme.json': { name: 'child.theme', extends: 'base' },
+         '/app/x-themes/base.theme/theme.json': { name: 'base.theme' }
+      };
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         resolve: ref => resolved[ ref ] ? Promise.resolve( resolved[ ref ] ) : Promise.reject(),
+         readJson: filepath => files[ filepath ]
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'follows the chain of extended themes', () => {
+         return collector.collectThemes( [ { themes: [ 'child', 'default' ] } ] )
+            .then( themes => {
+               expect( themes.map( _ => _.name ) ).to.eql( [ 'child.theme', 'base.theme', 'default.theme' ] );
+               expect( themes.map( _ => _.themes ) ).to.eql( [ [ 'base' ], [], [] ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.collectPages( flows ) with pages using mixins', () => {
+
+      const resolved = {
+         ...data.resolve,
+         'x-pages/with-mixins.json': '/app/x-pages/with-mixins.json',
+         'x-pages/mixins/notifications.json': '/app/x-pages/mixins/notifications.json'
+      };
+      const files = {
+         ...data.files,
+         '/app/x-pages/with-mixins.json': { mixins: [ 'mixins/notifications' ], areas: {} },
+         '/app/x-pages/mixins/notifications.json': { areas: {} }
+      };
+
+      const collector = artifactCollector.create( {
+         paths: data.paths,
+         resolve: ref => resolved[ ref ] ? Promise.resolve( resolved[ ref ] ) : Promise.reject(),
+         readJson: filepath => files[ filepath ]
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'follows the mixins of each page', () => {
+         return collector.collectPages( [ { pages: [ 'with-mixins' ] } ] )
+            .then( pages => {
+               expect( pages.map( _ => _.name ) ).to.eql( [ 'with-mixins', 'notifications' ] );
+               expect( pages[ 0 ].pages ).to.eql( [ 'mixins/notifications' ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.invalidate( file )', () => {
+
+      let collector;
+      let reads;
+
+      beforeEach( () => {
+         reads = [];
+         collector = artifactCollector.create( {
+            paths: data.paths,
+            incremental: true,
+            resolve: ref => data.resolve[ ref ] ? Promise.resolve( data.resolve[ ref ] ) : Promise.reject(),
+            readJson: filepath => {
+               reads.push( filepath );
+               return data.files[ filepath ];
+            }
+         } );
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not read any files again if nothing was invalidated', () => {
+         reads = [];
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( artifacts => {
+               expect( reads ).to.eql( [] );
+               expect( artifacts.pages ).to.have.a.lengthOf( 2 );
+               expect( artifacts.widgets ).to.have.a.lengthOf( 2 );
+            } );
+      } );
+
+      it( 'returns the invalidated artifact and its dependents', () => {
+         expect( collector.invalidate( '/app/x-pages/page2.json' ) ).to.eql( [
+            { category: 'pages', ref: 'page2', path: '/app/x-pages/page2.json' },
+            { category: 'flows', ref: 'flow4', path: '/app/x-flows/flow4.json' }
+         ] );
+      } );
+
+      it( 'matches descriptor files of artifacts that live in a directory', () => {
+         expect( collector.invalidate( '/app/x-widgets/widget2/widget.json' ) ).to.eql( [
+            { category: 'widgets', ref: 'widget2', path: '/app/x-widgets/widget2' },
+            { category: 'pages', ref: 'page2', path: '/app/x-pages/page2.json' },
+            { category: 'flows', ref: 'flow4', path: '/app/x-flows/flow4.json' }
+         ] );
+      } );
+
+      it( 'reads only the invalidated files on the next run', () => {
+         collector.invalidate( '/app/x-pages/page2.json' );
+         reads = [];
+         return collector.collectArtifacts( data.entries[ 'complete flow' ] )
+            .then( () => {
+               expect( reads ).to.eql( [ '/app/x-pages/page2.json' ] );
+            } );
+      } );
+
+      it( 'ignores files that were not read by the collector', () => {
+         expect( collector.invalidate( '/app/x-pages/unknown.json' ) ).to.eql( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
 } );
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import data from './data/artifacts_complete_expected.json';
+import artifactGraph from '../src/artifact_graph';
+
+describe( 'artifactGraph', () => {
+
+   const names = artifacts => artifacts.map( ({ category, name }) => `${category}/${name}` );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( artifacts )', () => {
+
+      const graph = artifactGraph.create( data );
+
+      it( 'returns an artifactGraph', () => {
+         expect( graph ).to.be.an( 'object' );
+      } );
+
+      describe( 'the returned graph', () => {
+         it( 'has methods to query dependencies and dependents', () => {
+            expect( graph ).to.respondTo( 'dependenciesOf' );
+            expect( graph ).to.respondTo( 'dependentsOf' );
+            expect( graph ).to.respondTo( 'transitiveDependenciesOf' );
+            expect( graph ).to.respondTo( 'transitiveDependentsOf' );
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.dependenciesOf( ref, [category] )', () => {
+
+      const graph = artifactGraph.create( data );
+
+      it( 'returns the artifacts directly referenced by the given artifact', () => {
+         expect( names( graph.dependenciesOf( 'page2', 'pages' ) ) ).to.have.members( [
+            'widgets/widget1',
+            'widgets/widget2',
+            'layouts/layout2',
+            'schemas/page'
+         ] );
+      } );
+
+      it( 'searches all categories if no category is given', () => {
+         expect( names( graph.dependenciesOf( 'widget2' ) ) ).to.have.members( [
+            'controls/control1',
+            'schemas/widget'
+         ] );
+      } );
+
+      it( 'accepts artifact objects', () => {
+         expect( names( graph.dependenciesOf( data.flows[ 0 ] ) ) ).to.have.members( [
+            'pages/page1',
+            'pages/page2',
+            'schemas/flow'
+         ] );
+      } );
+
+      it( 'returns an empty list for unknown artifacts', () => {
+         expect( graph.dependenciesOf( 'unknown' ) ).to.eql( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.dependentsOf( ref, [category] )', () => {
+
+      const graph = artifactGraph.create( data );
+
+      it( 'returns the artifacts directly referencing the given artifact', () => {
+         expect( names( graph.dependentsOf( 'control1', 'controls' ) ) ).to.eql( [ 'widgets/widget2' ] );
+         expect( names( graph.dependentsOf( 'widget1' ) ) ).to.eql( [ 'pages/page2' ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.transitiveDependenciesOf( ref, [category] )', () => {
+
+      const graph = artifactGraph.create( data );
+
+      it( 'returns all artifacts reachable from the given artifact', () => {
+         expect( names( graph.transitiveDependenciesOf( 'page2', 'pages' ) ) ).to.have.members( [
+            'widgets/widget1',
+            'widgets/widget2',
+            'layouts/layout2',
+            'schemas/page',
+            'schemas/widget',
+            'controls/control1',
+            'schemas/layout',
+            'schemas/control'
+         ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.transitiveDependentsOf( ref, [category] )', () => {
+
+      const graph = artifactGraph.create( data );
+
+      it( 'returns all artifacts from which the given artifact is reachable', () => {
+         expect( names( graph.transitiveDependentsOf( 'control1', 'controls' ) ) ).to.have.members( [
+            'widgets/widget2',
+            'pages/page2',
+            'flows/flow4'
+         ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.referrerChainOf( ref, category )', () => {
+
+      const graph = artifactGraph.create( data );
+
+      it( 'returns a chain of artifacts leading to the given ref', () => {
+         expect( names( graph.referrerChainOf( 'control1', 'controls' ) ) ).to.eql( [
+            'flows/flow4',
+            'pages/page2',
+            'widgets/widget2'
+         ] );
+      } );
+
+      it( 'works for refs that do not belong to an artifact of the graph', () => {
+         const page3 = { ...data.pages[ 0 ], name: 'page3', refs: [ 'page3' ], widgets: [ 'missing' ] };
+         const graph = artifactGraph.create( { ...data, pages: [ ...data.pages, page3 ] } );
+         expect( names( graph.referrerChainOf( 'missing', 'widgets' ) ) ).to.eql( [ 'pages/page3' ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+} );
@@ -0,0 +1,351 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import artifactListing from '../src/artifact_listing';
+import { create as createPageAssembler } from '../src/page_assembler';
+import { serializeWithSourceMap } from '../src/serialize';
+import { serializeModuleWithSourceMap } from '../src/serialize_module';
+import { SOURCE, parse } from '../src/source_locations';
+
+describe( 'artifactListing', () => {
+
+   const themes = [
+      { name: 'blue.theme', refs: [ 'blue' ], path: '/app/themes/blue.theme', themes: [ 'dark' ] },
+      { name: 'dark.theme', refs: [ 'dark' ], path: '/app/themes/dark.theme', themes: [] },
+      { name: 'plain.theme', refs: [ 'plain' ], path: '/app/themes/plain.theme', themes: [] },
+      { name: 'default.theme', refs: [ 'default' ], path: '/app/themes/default.theme', themes: [] }
+   ].map( theme => ( { ...theme, category: 'themes', descriptor: { name: theme.name } } ) );
+
+   const widget = {
+      name: 'my-widget',
+      refs: [ 'my-widget' ],
+      path: '/app/widgets/my-widget',
+      category: 'widgets',
+      descriptor: { name: 'my-widget' }
+   };
+
+   const fileContents = {
+      '/app/widgets/my-widget/default.theme/my-widget.html': '<div></div>',
+      '/app/widgets/my-widget/dark.theme/css/my-widget.css': '',
+      '/app/themes/blue.theme/widgets/my-widget/my-widget.html': '<div class="blue"></div>',
+      '/app/themes/plain.theme/widgets/my-widget/css/my-widget.css': ''
+   };
+
+   const defaultTemplate = { content: 'content!/app/widgets/my-widget/default.theme/my-widget.html' };
+   const blueTemplate = { content: 'content!/app/themes/blue.theme/widgets/my-widget/my-widget.html' };
+   const darkStyle = { url: 'url!/app/widgets/my-widget/dark.theme/css/my-widget.css' };
+   const plainStyle = { url: 'url!/app/themes/plain.theme/widgets/my-widget/css/my-widget.css' };
+
+   function requireFile( module, loader ) {
+      return `${loader}!${module}`;
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( options )', () => {
+
+      it( 'returns an artifactListing', () => {
+         const listing = artifactListing.create( {} );
+         expect( listing ).to.respondTo( 'buildArtifacts' );
+         expect( listing ).to.respondTo( 'buildSplitArtifacts' );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.buildWidgets( widgets, themes )', () => {
+
+      it( 'lists the themed assets of the first theme, falling back to the other themes', () => {
+         const listing = artifactListing.create( { fileContents, requireFile } );
+         return listing.buildWidgets( [ widget ], themes )
+            .then( ( [ { assets } ] ) => {
+               expect( assets ).to.eql( {
+                  'blue.theme': {
+                     'my-widget.html': blueTemplate,
+                     'css/my-widget.css': darkStyle
+                  }
+               } );
+            } );
+      } );
+
+      describe( 'with the allThemes option', () => {
+
+         it( 'lists the themed assets of every theme', () => {
+            const listing = artifactListing.create( { fileContents, requireFile, allThemes: true } );
+            return listing.buildWidgets( [ widget ], themes )
+               .then( ( [ { assets } ] ) => {
+                  expect( assets ).to.have.all.keys(
+                     'blue.theme', 'dark.theme', 'plain.theme', 'default.theme'
+                  );
+               } );
+         } );
+
+         it( 'falls back to the extended themes, and then to the default theme', () => {
+            const listing = artifactListing.create( { fileContents, requireFile, allThemes: true } );
+            return listing.buildWidgets( [ widget ], themes )
+               .then( ( [ { assets } ] ) => {
+                  expect( assets[ 'blue.theme' ] ).to.eql( {
+                     'my-widget.html': blueTemplate,
+                     'css/my-widget.css': darkStyle
+                  } );
+                  expect( assets[ 'dark.theme' ] ).to.eql( {
+                     'my-widget.html': defaultTemplate,
+                     'css/my-widget.css': darkStyle
+                  } );
+                  expect( assets[ 'plain.theme' ] ).to.eql( {
+                     'my-widget.html': defaultTemplate,
+                     'css/my-widget.css': plainStyle
+                  } );
+                  expect( assets[ 'default.theme' ] ).to.eql( {
+                     'my-widget.html': defaultTemplate
+                  } );
+               } );
+         } );
+
+         it( 'does not fall back to themes that are not extended', () => {
+            const listing = artifactListing.create( { fileContents, requireFile, allThemes: true } );
+            return listing.buildWidgets( [ widget ], themes )
+               .then( ( [ { assets } ] ) => {
+                  expect( assets[ 'dark.theme' ][ 'css/my-widget.css' ].url ).not.to.contain( 'plain.theme' );
+                  expect( assets[ 'default.theme' ] ).not.to.have.key( 'css/my-widget.css' );
+               } );
+         } );
+
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'with the format option set to "esm"', () => {
+
+      const source = {
+         file: '/app/widgets/my-widget/widget.json',
+         positions: {
+            '': { line: 1, column: 1 },
+            '/name': { line: 2, column: 4 }
+         }
+      };
+
+      it( 'lists module references that are hoisted to import declarations', () => {
+         const listing = artifactListing.create( { fileContents, format: 'esm' } );
+         return listing.buildWidgets( [ widget ], themes.slice( 3 ) )
+            .then( widgets => {
+               const { code } = serializeModuleWithSourceMap( { widgets } );
+               expect( code.split( '\n' ).slice( 0, 3 ) ).to.eql( [
+                  'import _my_widget from \'module!/app/widgets/my-widget\';',
+                  `import _my_widget_html from '${defaultTemplate.content}';`,
+                  ''
+               ] );
+               expect( code ).to.contain( 'module: _my_widget,' );
+               expect( code ).to.contain( '"my-widget.html": { content: _my_widget_html }' );
+            } );
+      } );
+
+      it( 'keeps the sources of the listed descriptors for source maps', () => {
+         const listing = artifactListing.create( { fileContents, format: 'esm' } );
+         return listing.buildWidgets( [ { ...widget, source } ], themes.slice( 3 ) )
+            .then( widgets => {
+               const { map } = serializeModuleWithSourceMap( { widgets } );
+               expect( map.sources ).to.eql( [ '/app/widgets/my-widget/widget.json' ] );
+               expect( map.mappings ).to.match( /^;;;/ );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.buildThemes( themes )', () => {
+
+      it( 'lists the assets of the first theme only', () => {
+         const listing = artifactListing.create( { fileContents: {
+            '/app/themes/blue.theme/css/theme.css': '',
+            '/app/themes/dark.theme/css/theme.css': ''
+         }, requireFile } );
+         return listing.buildThemes( themes )
+            .then( listedThemes => {
+               expect( listedThemes.map( _ => _.assets ) ).to.eql( [
+                  { 'css/theme.css': { url: 'url!/app/themes/blue.theme/css/theme.css' } },
+                  {},
+                  {},
+                  {}
+               ] );
+            } );
+      } );
+
+      it( 'lists the assets of every theme with the allThemes option', () => {
+         const listing = artifactListing.create( { fileContents: {
+            '/app/themes/blue.theme/css/theme.css': '',
+            '/app/themes/dark.theme/css/theme.css': ''
+         }, requireFile, allThemes: true } );
+         return listing.buildThemes( themes )
+            .then( listedThemes => {
+               expect( listedThemes.map( _ => _.assets ) ).to.eql( [
+                  { 'css/theme.css': { url: 'url!/app/themes/blue.theme/css/theme.css' } },
+                  { 'css/theme.css': { url: 'url!/app/themes/dark.theme/css/theme.css' } },
+                  {},
+                  {}
+               ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.buildPages( pages )', () => {
+
+      const page = ( name, definition ) => {
+         const path = `/app/pages/${name}.json`;
+         const { value, source } = parse( JSON.stringify( definition, null, 3 ), path );
+         return { name, path, refs: [ name ], category: 'pages', definition: value, source };
+      };
+
+      const pagesByRef = {
+         base: page( 'base', {
+            layout: 'one-column',
+            areas: { content: [ { widget: 'list', id: 'list' } ] }
+         } ),
+         home: page( 'home', {
+            extends: 'base',
+            areas: { content: [ { widget: 'form', id: 'form' } ] }
+         } )
+      };
+
+      const pageAssembler = createPageAssembler(
+         { page: () => true, features: { widgets: {}, pages: {} } },
+         { pages: pagesByRef, widgets: {}, layouts: {} }
+      );
+
+      it( 'maps the items of extended pages to the pages declaring them', () => {
+         const listing = artifactListing.create( { fileContents } );
+         return pageAssembler.assemble( pagesByRef.home )
+            .then( assembledPage => listing.buildPages( [ assembledPage ] ) )
+            .then( ( [ { definition } ] ) => {
+               const [ inherited, own ] = definition.areas.content.map( item => item[ SOURCE ] );
+               const pointer = '/areas/content/0';
+               expect( inherited ).to.include( { file: '/app/pages/base.json', pointer } );
+               expect( own ).to.include( { file: '/app/pages/home.json', pointer } );
+               expect( definition[ SOURCE ] ).to.include( { file: '/app/pages/home.json' } );
+
+               const { map } = serializeWithSourceMap( { definition } );
+               expect( map.sources ).to.have.members( [ '/app/pages/home.json', '/app/pages/base.json' ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.buildSplitArtifacts( artifacts, split )', () => {
+
+      const artifact = ( category, name, references = {} ) => ( {
+         category,
+         name,
+         refs: [ name ],
+         path: `/app/${category}/${name}`,
+         descriptor: { name },
+         ...references
+      } );
+
+      const artifacts = {
+         flows: [
+            artifact( 'flows', 'main', { pages: [ 'home', 'details' ], definition: { places: {} } } ),
+            artifact( 'flows', 'admin', { pages: [ 'settings' ], definition: { places: {} } } )
+         ],
+         themes: themes.slice( 3 ),
+         pages: [
+            artifact( 'pages', 'home', { layouts: [ 'one-column' ], widgets: [ 'list' ] } ),
+            artifact( 'pages', 'details', { layouts: [ 'one-column' ], widgets: [ 'form' ] } ),
+            artifact( 'pages', 'settings', { layouts: [ 'two-columns' ], widgets: [ 'form' ] } )
+         ].map( page => ( { ...page, definition: {} } ) ),
+         layouts: [
+            artifact( 'layouts', 'one-column' ),
+            artifact( 'layouts', 'two-columns' )
+         ],
+         widgets: [
+            artifact( 'widgets', 'list', { controls: [] } ),
+            artifact( 'widgets', 'form', { controls: [] } )
+         ],
+         controls: [],
+         schemas: [],
+         entries: []
+      };
+
+      const listing = artifactListing.create( {
+         fileContents: {
+            '/app/widgets/list/default.theme/list.html': '<ul></ul>',
+            '/app/widgets/form/default.theme/form.html': '<form></form>'
+         },
+         requireFile
+      } );
+
+      const names = entries => entries.map( ({ descriptor }) => descriptor.name );
+
+      it( 'lists the artifacts shared by several chunks in the core listing', () => {
+         return listing.buildSplitArtifacts( artifacts, 'flows' )
+            .then( ( { core } ) => {
+               expect( names( core.flows ) ).to.eql( [ 'main', 'admin' ] );
+               expect( names( core.themes ) ).to.eql( [ 'default.theme' ] );
+               expect( core.pages ).to.eql( [] );
+               expect( core.layouts ).to.eql( [] );
+               expect( names( core.widgets ) ).to.eql( [ 'form' ] );
+               expect( core.aliases.widgets ).to.eql( { form: 0 } );
+            } );
+      } );
+
+      it( 'maps each chunk to the refs of its pages in the core listing', () => {
+         return listing.buildSplitArtifacts( artifacts, 'flows' )
+            .then( ( { core } ) => {
+               expect( core.chunks ).to.eql( {
+                  main: { pages: [ 'home', 'details' ] },
+                  admin: { pages: [ 'settings' ] }
+               } );
+            } );
+      } );
+
+      it( 'lists the remaining artifacts in the chunks, with aliases per chunk', () => {
+         return listing.buildSplitArtifacts( artifacts, 'flows' )
+            .then( ( { chunks } ) => {
+               expect( Object.keys( chunks ) ).to.eql( [ 'main', 'admin' ] );
+               expect( names( chunks.main.pages ) ).to.eql( [ 'home', 'details' ] );
+               expect( names( chunks.main.layouts ) ).to.eql( [ 'one-column' ] );
+               expect( names( chunks.main.widgets ) ).to.eql( [ 'list' ] );
+               expect( chunks.main.aliases ).to.eql( {
+                  pages: { home: 0, details: 1 },
+                  layouts: { 'one-column': 0 },
+                  widgets: { list: 0 },
+                  controls: {}
+               } );
+               expect( names( chunks.admin.pages ) ).to.eql( [ 'settings' ] );
+               expect( chunks.admin.aliases.layouts ).to.eql( { 'two-columns': 0 } );
+            } );
+      } );
+
+      it( 'lists the assets of chunked artifacts in their chunk only', () => {
+         return listing.buildSplitArtifacts( artifacts, 'flows' )
+            .then( ( { core, chunks } ) => {
+               expect( chunks.main.widgets[ 0 ].assets ).to.eql( {
+                  'default.theme': {
+                     'list.html': { content: 'content!/app/widgets/list/default.theme/list.html' }
+                  }
+               } );
+               expect( core.widgets[ 0 ].assets ).to.eql( {
+                  'default.theme': {
+                     'form.html': { content: 'content!/app/widgets/form/default.theme/form.html' }
+                  }
+               } );
+               expect( JSON.stringify( core ) ).not.to.contain( 'list.html' );
+            } );
+      } );
+
+   } );
+
+} );
@@ -0,0 +1,576 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import artifactValidator from '../src/artifact_validator';
+import { parse } from '../src/source_locations';
+import flowSchema from 'laxar/static/schemas/flow.json';
+import pageSchema from 'laxar/static/schemas/page.json';
+import widgetSchema from 'laxar/static/schemas/widget.json';
+
+const unreachable = _ => Promise.reject( new Error(
+   `Promise should have been rejected, but was resolved with\n${JSON.stringify( _, null, 3 )}`
+) );
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+describe( 'artifactValidator', () => {
+
+   function artifacts( overrides = {} ) {
+      return {
+         entries: [ { flows: [ 'main' ] } ],
+         schemas: [
+            { name: 'flow', refs: [ 'flow' ], definition: flowSchema },
+            { name: 'page', refs: [ 'page' ], definition: pageSchema },
+            { name: 'widget', refs: [ 'widget' ], definition: widgetSchema }
+         ],
+         flows: [ flow( 'main', { entry: { patterns: [ '/' ], page: 'home' } } ) ],
+         pages: [ page( 'home', { content: [ { id: 'text', widget: 'text-widget' } ] } ) ],
+         widgets: [ widget( 'text-widget' ) ],
+         layouts: [ layout( 'one-column' ) ],
+         themes: [],
+         ...overrides
+      };
+   }
+
+   function flow( name, places ) {
+      return {
+         name,
+         category: 'flows',
+         path: `/app/flows/${name}.json`,
+         refs: [ name ],
+         pages: Object.keys( places ).map( _ => places[ _ ].page ).filter( _ => !!_ ),
+         definition: { places }
+      };
+   }
+
+   function page( name, areas, layout = 'one-column' ) {
+      const definition = { layout, areas };
+      return { name, category: 'pages', path: `/app/pages/${name}.json`, refs: [ name ], definition };
+   }
+
+   function widget( name, descriptor = { name, description: `The ${name}` } ) {
+      return { name, category: 'widgets', path: `/app/widgets/${name}`, refs: [ name ], descriptor };
+   }
+
+   function layout( name ) {
+      const descriptor = { name };
+      return { name, category: 'layouts', path: `/app/layouts/${name}`, refs: [ name ], descriptor };
+   }
+
+   const themes = [
+      { name: 'default.theme', path: '/app/themes/default.theme', refs: [ 'default.theme' ], themes: [] }
+   ];
+   const templates = {
+      '/app/layouts/one-column/default.theme/one-column.html':
+         '<div data-ax-area="header"></div><div data-ax-area="content"></div>',
+      '/app/layouts/two-columns/default.theme/two-columns.html':
+         '<div data-ax-area="left"></div><div data-ax-area="right"></div>'
+   };
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( options )', () => {
+
+      const validator = artifactValidator.create();
+
+      it( 'returns an artifactValidator', () => {
+         expect( validator ).to.be.an( 'object' );
+      } );
+
+      describe( 'the returned validator', () => {
+         it( 'has methods to validate artifacts', () => {
+            expect( validator ).to.respondTo( 'validateArtifacts' );
+            expect( validator ).to.respondTo( 'validateFlows' );
+            expect( validator ).to.respondTo( 'validatePages' );
+            expect( validator ).to.respondTo( 'validateWidgets' );
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts )', () => {
+
+      const validator = artifactValidator.create();
+
+      it( 'resolves with the validated artifacts', () => {
+         return validator.validateArtifacts( artifacts() )
+            .then( validated => {
+               expect( validated.flows.map( _ => _.name ) ).to.eql( [ 'main' ] );
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+               expect( validated.widgets.map( _ => _.name ) ).to.eql( [ 'text-widget' ] );
+               expect( validated ).not.to.have.a.property( 'errors' );
+            } );
+      } );
+
+      it( 'rejects if an artifact is invalid', () => {
+         return validator.validateArtifacts( artifacts( {
+            widgets: [ widget( 'text-widget', { name: 'text-widget' } ) ]
+         } ) )
+            .then( unreachable, error => {
+               expect( error.message ).to.contain( 'Validation failed for widget "text-widget"' );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with the aggregateErrors option', () => {
+
+      const validator = artifactValidator.create( { aggregateErrors: true } );
+
+      const brokenArtifacts = () => artifacts( {
+         pages: [
+            page( 'home', { content: [ { id: 'text', widget: 'text-widget' } ] } ),
+            page( 'broken', { content: [ { id: 'text', widget: 'text-widget', unknown: true } ] } )
+         ],
+         flows: [
+            flow( 'main', {
+               entry: { patterns: [ '/' ], page: 'home', targets: { next: 'broken' } },
+               broken: { page: 'broken' }
+            } )
+         ],
+         widgets: [ widget( 'text-widget' ), widget( 'broken-widget', { name: 'broken-widget' } ) ],
+         errors: [ { category: 'pages', ref: 'missing', path: null, message: 'Failed to collect' } ]
+      } );
+
+      const errorFor = ( errors, ref ) => errors.filter( error => error.ref === ref )[ 0 ];
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'returns the artifacts that are valid', () => {
+         return validator.validateArtifacts( brokenArtifacts() )
+            .then( validated => {
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+               expect( validated.widgets.map( _ => _.name ) ).to.eql( [ 'text-widget' ] );
+            } );
+      } );
+
+      it( 'lists every invalid artifact after the errors reported by the collector', () => {
+         return validator.validateArtifacts( brokenArtifacts() )
+            .then( ({ errors }) => {
+               expect( errors.map( _ => `${_.category} ${_.ref}` ) ).to.have.members( [
+                  'pages missing',
+                  'pages broken',
+                  'widgets broken-widget'
+               ] );
+               expect( errors[ 0 ].ref ).to.equal( 'missing' );
+               expect( errorFor( errors, 'broken' ) ).to.include( { path: '/app/pages/broken.json' } );
+               expect( errorFor( errors, 'broken' ).message )
+                  .to.contain( 'Validation failed for page "broken"' );
+            } );
+      } );
+
+      it( 'describes the chain of referrers for each error', () => {
+         return validator.validateArtifacts( brokenArtifacts() )
+            .then( ({ errors }) => {
+               expect( errorFor( errors, 'broken' ).referrers ).to.eql( [
+                  { category: 'flows', ref: 'main', path: '/app/flows/main.json' }
+               ] );
+            } );
+      } );
+
+      it( 'has no errors if all artifacts are valid', () => {
+         return validator.validateArtifacts( artifacts() )
+            .then( ({ errors }) => {
+               expect( errors ).to.eql( [] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with source locations', () => {
+
+      const widgetText = '{\n   "name": "text-widget",\n   "description": 42\n}\n';
+      const flowText = '{\n   "places": {\n      "entry": { "patterns": [], "page": "home" }\n   }\n}\n';
+
+      function locatedArtifacts() {
+         const widgetJson = parse( widgetText, '/app/widgets/text-widget/widget.json' );
+         const flowJson = parse( flowText, '/app/flows/main.json' );
+         return artifacts( {
+            widgets: [ { ...widget( 'text-widget', widgetJson.value ), source: widgetJson.source } ],
+            flows: [ { ...flow( 'main', flowJson.value.places ), source: flowJson.source } ]
+         } );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'locates the validation errors of each artifact within its source', () => {
+         return artifactValidator.create().validateArtifacts( locatedArtifacts() )
+            .then( unreachable, error => {
+               expect( error.errors[ 0 ].location ).to.eql( {
+                  file: '/app/flows/main.json',
+                  pointer: '/places/entry/patterns',
+                  line: 3,
+                  column: 18
+               } );
+            } );
+      } );
+
+      it( 'lists the locations of every error with the aggregateErrors option', () => {
+         return artifactValidator.create( { aggregateErrors: true } ).validateArtifacts( locatedArtifacts() )
+            .then( ({ errors }) => {
+               const locations = {};
+               errors.forEach( ({ ref, locations: [ location ] }) => {
+                  locations[ ref ] = location;
+               } );
+               expect( locations ).to.eql( {
+                  main: {
+                     file: '/app/flows/main.json',
+                     pointer: '/places/entry/patterns',
+                     line: 3,
+                     column: 18
+                  },
+                  'text-widget': {
+                     file: '/app/widgets/text-widget/widget.json',
+                     pointer: '/description',
+                     line: 3,
+                     column: 4
+                  }
+               } );
+            } );
+      } );
+
+      it( 'falls back to the artifact path if the source is not known', () => {
+         return artifactValidator.create()
+            .validateArtifacts( artifacts( { widgets: [ widget( 'text-widget', { name: 42 } ) ] } ) )
+            .then( unreachable, error => {
+               expect( error.errors.map( _ => _.location ) ).to.deep.include( {
+                  file: '/app/widgets/text-widget',
+                  pointer: '/name'
+               } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with flow navigation', () => {
+
+      let warnings;
+      let validator;
+
+      beforeEach( () => {
+         warnings = [];
+         validator = artifactValidator.create( { warn: warning => warnings.push( warning ) } );
+      } );
+
+      function flowArtifacts( places ) {
+         return artifacts( { flows: [ flow( 'main', places ) ] } );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects flows with targets to missing places', () => {
+         return validator.validateArtifacts( flowArtifacts( {
+            entry: { patterns: [ '/' ], page: 'home', targets: { next: 'nowhere' } }
+         } ) )
+            .then( unreachable, error => {
+               expect( error.message ).to.equal( 'Validation failed for flow "main": ' +
+                  'In flow "/app/flows/main.json", place "entry": ' +
+                  'target "next" refers to missing place "nowhere"' );
+               expect( error.errors[ 0 ].location )
+                  .to.eql( { file: '/app/flows/main.json', pointer: '/places/entry/targets/next' } );
+            } );
+      } );
+
+      it( 'rejects flows with redirect loops', () => {
+         return validator.validateArtifacts( flowArtifacts( {
+            entry: { patterns: [ '/' ], redirectTo: 'start' },
+            start: { redirectTo: 'entry' },
+            home: { page: 'home' }
+         } ) )
+            .then( unreachable, error => {
+               expect( error.message ).to.contain( 'redirectTo loops: entry -> start -> entry' );
+            } );
+      } );
+
+      it( 'warns about places that cannot be reached, instead of rejecting', () => {
+         return validator.validateArtifacts( flowArtifacts( {
+            entry: { patterns: [ '/' ], page: 'home' },
+            orphan: { page: 'home' }
+         } ) )
+            .then( validated => {
+               expect( validated.flows.map( _ => _.name ) ).to.eql( [ 'main' ] );
+               expect( warnings ).to.eql( [ {
+                  message: 'In flow "/app/flows/main.json", place "orphan": ' +
+                     'place cannot be reached from any entry place',
+                  location: { file: '/app/flows/main.json', pointer: '/places/orphan' }
+               } ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with ambiguous URL patterns', () => {
+
+      const flows = [
+         flow( 'main', {
+            entry: { patterns: [ '/' ], page: 'home', targets: { user: 'user' } },
+            user: { patterns: [ '/user/:id' ], page: 'home' }
+         } ),
+         flow( 'other', {
+            'user-by-name': { patterns: [ '/user/:name' ], page: 'home' }
+         } )
+      ];
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects patterns that are ambiguous across the flows of an entry', () => {
+         return artifactValidator.create()
+            .validateArtifacts( artifacts( { entries: [ { flows: [ 'main', 'other' ] } ], flows } ) )
+            .then( unreachable, error => {
+               expect( error.message ).to.equal( 'Validation failed for flow "other": ' +
+                  'In flow "/app/flows/other.json", place "user-by-name": ' +
+                  'pattern "/user/:name" is ambiguous with ' +
+                  'pattern "/user/:id" of flow "/app/flows/main.json", place "user"' );
+            } );
+      } );
+
+      it( 'does not compare the flows of different entries', () => {
+         const entries = [ { flows: [ 'main' ] }, { flows: [ 'other' ] } ];
+         return artifactValidator.create()
+            .validateArtifacts( artifacts( { entries, flows } ) )
+            .then( validated => {
+               expect( validated.flows.map( _ => _.name ) ).to.eql( [ 'main', 'other' ] );
+            } );
+      } );
+
+      it( 'reports each ambiguous pattern once with the aggregateErrors option', () => {
+         const entries = [ { flows: [ 'main', 'other' ] }, { flows: [ 'other', 'main' ] } ];
+         return artifactValidator.create( { aggregateErrors: true } )
+            .validateArtifacts( artifacts( { entries, flows } ) )
+            .then( ({ errors }) => {
+               expect( errors.map( ({ category, ref }) => ( { category, ref } ) ) )
+                  .to.eql( [ { category: 'flows', ref: 'other' } ] );
+               expect( errors[ 0 ].error.errors ).to.have.lengthOf( 1 );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with pages overriding the inherited layout', () => {
+
+      function overridingArtifacts() {
+         const home = page( 'home', { left: [ { id: 'text', widget: 'text-widget' } ] }, 'two-columns' );
+         home.definition = { ...home.definition, extends: 'base', overrideLayout: true };
+         return artifacts( {
+            pages: [ home, page( 'base', { header: [ { id: 'header', widget: 'text-widget' } ] } ) ],
+            layouts: [ layout( 'one-column' ), layout( 'two-columns' ) ],
+            themes
+         } );
+      }
+
+      let warnings;
+
+      beforeEach( () => {
+         warnings = [];
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'warns that the inherited areas cannot be checked if the areas of the layout are not known', () => {
+         return artifactValidator.create( { warn: warning => warnings.push( warning ) } )
+            .validateArtifacts( overridingArtifacts() )
+            .then( validated => {
+               expect( validated.pages[ 0 ].definition.layout ).to.equal( 'two-columns' );
+               expect( warnings ).to.eql( [ {
+                  message: 'Page "home": cannot check the areas used by inherited items, ' +
+                     'because the areas of layout "two-columns" are not known',
+                  location: { file: '/app/pages/home.json', pointer: '/layout' }
+               } ] );
+            } );
+      } );
+
+      it( 'ignores warnings by default', () => {
+         const { emitWarning } = process;
+         process.emitWarning = warning => warnings.push( warning );
+         return artifactValidator.create().validateArtifacts( overridingArtifacts() )
+            .then( () => {
+               process.emitWarning = emitWarning;
+               expect( warnings ).to.eql( [] );
+            }, error => {
+               process.emitWarning = emitWarning;
+               throw error;
+            } );
+      } );
+
+      it( 'rejects pages whose layout does not provide the areas used by inherited items', () => {
+         const warn = warning => warnings.push( warning );
+         return artifactValidator.create( { fileContents: templates, warn } )
+            .validateArtifacts( overridingArtifacts() )
+            .then( unreachable, error => {
+               expect( error.message ).to.equal(
+                  'Error loading page "home": ' +
+                  'Layout "two-columns" does not provide area(s) used by inherited items: header'
+               );
+               expect( warnings ).to.eql( [] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with layout templates', () => {
+
+      let warnings;
+      let validator;
+
+      beforeEach( () => {
+         warnings = [];
+         validator = artifactValidator.create( {
+            fileContents: templates,
+            warn: warning => warnings.push( warning )
+         } );
+      } );
+
+      function pageArtifacts( areas ) {
+         return artifacts( { pages: [ page( 'home', areas ) ], themes } );
+      }
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'accepts pages using the areas declared by their layout', () => {
+         return validator.validateArtifacts( pageArtifacts( {
+            header: [ { id: 'title', widget: 'text-widget' } ],
+            content: [ { id: 'text', widget: 'text-widget' } ]
+         } ) )
+            .then( validated => {
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+               expect( warnings ).to.eql( [] );
+            } );
+      } );
+
+      it( 'rejects pages using areas that are not declared by their layout', () => {
+         return validator.validateArtifacts( pageArtifacts( {
+            contnet: [ { id: 'text', widget: 'text-widget' } ]
+         } ) )
+            .then( unreachable, error => {
+               expect( error.message ).to.equal(
+                  'Validation failed for page "home": Area "contnet" is not provided by layout "one-column"'
+               );
+               expect( error.errors[ 0 ].location ).to.eql( {
+                  file: '/app/pages/home.json',
+                  pointer: '/areas/contnet/0'
+               } );
+            } );
+      } );
+
+      it( 'reads the templates of the given themes', () => {
+         const blueTheme = {
+            name: 'blue.theme',
+            path: '/app/themes/blue.theme',
+            refs: [ 'blue.theme' ],
+            themes: [ 'default.theme' ]
+         };
+         const blueValidator = artifactValidator.create( {
+            fileContents: {
+               '/app/themes/blue.theme/layouts/one-column/one-column.html': '<div data-ax-area="main"></div>'
+            }
+         } );
+         return blueValidator.validateArtifacts( {
+            ...pageArtifacts( { content: [ { id: 'text', widget: 'text-widget' } ] } ),
+            themes: [ blueTheme, ...themes ]
+         } )
+            .then( unreachable, error => {
+               expect( error.message ).to.contain( 'Area "content" is not provided by layout "one-column"' );
+            } );
+      } );
+
+      it( 'skips the checks for layouts without templates', () => {
+         return artifactValidator.create( { fileContents: {} } )
+            .validateArtifacts( pageArtifacts( { contnet: [ { id: 'text', widget: 'text-widget' } ] } ) )
+            .then( validated => {
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+            } );
+      } );
+
+      it( 'warns about layout areas that are not filled by any page, instead of rejecting', () => {
+         return validator.validateArtifacts( pageArtifacts( {
+            content: [ { id: 'text', widget: 'text-widget' } ]
+         } ) )
+            .then( validated => {
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+               expect( warnings.map( _ => _.message ) ).to.eql( [
+                  'Area(s) of layout "one-column" not filled by any page: header'
+               ] );
+            } );
+      } );
+
+      it( 'does not list layout areas that are not filled by any page as errors', () => {
+         const warn = warning => warnings.push( warning );
+         return artifactValidator.create( { fileContents: templates, warn, aggregateErrors: true } )
+            .validateArtifacts( pageArtifacts( { content: [ { id: 'text', widget: 'text-widget' } ] } ) )
+            .then( ({ errors }) => {
+               expect( errors ).to.eql( [] );
+               expect( warnings ).to.have.lengthOf( 1 );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.validateArtifacts( artifacts ) with widget templates', () => {
+
+      const widgetTemplate = '/app/widgets/text-widget/default.theme/text-widget.html';
+
+      function pageArtifacts( areas ) {
+         return artifacts( { pages: [ page( 'home', areas ) ], themes } );
+      }
+
+      function validatorFor( widgetHtml ) {
+         const fileContents = { ...templates, [ widgetTemplate ]: widgetHtml };
+         return artifactValidator.create( { fileContents } );
+      }
+
+      const nestedAreas = {
+         content: [ { id: 'text', widget: 'text-widget' } ],
+         'text.aside': [ { id: 'more', widget: 'text-widget' } ]
+      };
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'rejects pages using areas that are not declared by the widget', () => {
+         return validatorFor( '<div data-ax-widget-area="content"></div>' )
+            .validateArtifacts( pageArtifacts( nestedAreas ) )
+            .then( unreachable, error => {
+               expect( error.message ).to.equal( 'Validation failed for page "home": ' +
+                  'Area "text.aside" is not provided by widget "text-widget"' );
+            } );
+      } );
+
+      it( 'accepts areas declared without the data- prefix', () => {
+         return validatorFor( '<div ax-widget-area="aside"></div>' )
+            .validateArtifacts( pageArtifacts( nestedAreas ) )
+            .then( validated => {
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+            } );
+      } );
+
+      it( 'skips the checks for widgets whose templates do not declare any areas', () => {
+         return validatorFor( '<div class="text-widget"></div>' )
+            .validateArtifacts( pageArtifacts( nestedAreas ) )
+            .then( validated => {
+               expect( validated.pages.map( _ => _.name ) ).to.eql( [ 'home' ] );
+            } );
+      } );
+
+   } );
+
+} );
@@ -7,7 +7,7 @@
 
 import { expect } from 'chai';
 import data from './data/assets.json';
-import assetResolver from '../src/asset_resolver';
+import assetResolver, { themeChain } from '../src/asset_resolver';
 
 describe( 'artifactResolver', () => {
 
@@ -118,4 +118,130 @@ describe( 'artifactResolver', () => {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   describe( '.resolveThemedAssets( artifact, themes, assetPaths ) with extended themes', () => {
+
+      const resolvable = [
+         '/app/x-themes/base.theme/widgets/widget1/artifact.html',
+         '/app/x-themes/base.theme/widgets/widget1/css/artifact.css',
+         '/app/x-themes/default.theme/widgets/widget1/artifact.html',
+         '/app/x-themes/default.theme/widgets/widget1/css/artifact.css',
+         '/app/x-themes/default.theme/widgets/widget1/missing/persons.txt'
+      ];
+
+      const resolver = assetResolver.create( {
+         resolve: ref => resolvable.indexOf( ref ) >= 0 ? Promise.resolve( ref ) : Promise.reject()
+      } );
+
+      const themes = [ {
+         name: 'child.theme',
+         refs: [ 'child' ],
+         path: '/app/x-themes/child.theme',
+         themes: [ 'base' ]
+      }, {
+         name: 'default.theme',
+         refs: [ 'default' ],
+         path: '/app/x-themes/default.theme',
+         themes: []
+      }, {
+         name: 'base.theme',
+         refs: [ 'base' ],
+         path: '/app/x-themes/base.theme',
+         themes: []
+      } ];
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'searches the themes extended by a theme before the other themes', () => {
+         return resolver.resolveThemedAssets( data.artifacts[ 0 ], themes, data.assets )
+            .then( assets => {
+               expect( assets ).to.eql( {
+                  'artifact.html': '/app/x-themes/base.theme/widgets/widget1/artifact.html',
+                  'css/artifact.css': '/app/x-themes/base.theme/widgets/widget1/css/artifact.css',
+                  'missing/persons.txt': '/app/x-themes/default.theme/widgets/widget1/missing/persons.txt'
+               } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'with the schemes option', () => {
+
+      const resolver = assetResolver.create( {
+         resolve: ref => data.resolve[ ref ] ? Promise.resolve( data.resolve[ ref ] ) : Promise.reject(),
+         schemes: {
+            shared: ( ref, lookupPath, resolve ) => resolve( `/app/x-themes/default.theme/${ref}` )
+         }
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'resolves asset paths prefixed with a scheme using that scheme', () => {
+         const assetPaths = [ 'artifact.html', 'shared:widgets/widget1/artifact.html' ];
+         return resolver.resolveAssets( data.artifacts[ 0 ], assetPaths )
+            .then( assets => {
+               expect( assets ).to.eql( {
+                  'artifact.html': '/app/x-widgets/widget1/artifact.html',
+                  'shared:widgets/widget1/artifact.html':
+                     '/app/x-themes/default.theme/widgets/widget1/artifact.html'
+               } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'with the fileContents option', () => {
+
+      const fileContents = {};
+      Object.keys( data.resolve )
+         .filter( ref => data.resolve[ ref ] )
+         .forEach( ref => {
+            fileContents[ ref ] = '';
+         } );
+
+      const resolver = assetResolver.create( { fileContents } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'resolves only the assets contained in the file contents', () => {
+         return resolver.resolveAssets( data.artifacts[ 0 ], data.assets )
+            .then( assets => {
+               expect( assets ).to.eql( data.results[ 0 ] );
+            } );
+      } );
+
+      it( 'resolves themed assets contained in the file contents', () => {
+         return resolver.resolveThemedAssets( data.artifacts[ 0 ], data.themes, data.assets )
+            .then( assets => {
+               expect( assets ).to.eql( data.results[ 2 ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.themeChain( themes, [available] )', () => {
+
+      const blue = { name: 'blue.theme', refs: [ 'blue' ], themes: [ 'dark' ] };
+      const dark = { name: 'dark.theme', refs: [ 'dark' ], themes: [ 'base.theme' ] };
+      const base = { name: 'base.theme', refs: [ 'base' ], themes: [] };
+      const fallback = { name: 'default.theme', refs: [ 'default' ], themes: [] };
+
+      it( 'lists each theme followed by the themes it extends, each theme once', () => {
+         expect( themeChain( [ blue, fallback, dark, base ] ) ).to.eql( [ blue, dark, base, fallback ] );
+      } );
+
+      it( 'looks up extended themes in the available themes', () => {
+         expect( themeChain( [ blue, fallback ], [ fallback, base, dark, blue ] ) )
+            .to.eql( [ blue, dark, base, fallback ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
 } );
@@ -0,0 +1,248 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import { create as createAjv } from '../src/ajv';
+import eventTopology, { topologyProblems } from '../src/event_topology';
+
+describe( 'eventTopology', () => {
+
+   const $schema = 'http://json-schema.org/draft-04/schema#';
+
+   const widgets = [
+      {
+         name: 'editor-widget',
+         refs: [ 'editor-widget' ],
+         descriptor: {
+            features: {
+               type: 'object',
+               properties: {
+                  user: {
+                     type: 'object',
+                     properties: {
+                        resource: { type: 'string', format: 'topic', 'x-ax-role': 'resource-subscriber' },
+                        save: { type: 'string', format: 'topic', 'x-ax-role': 'action-publisher' }
+                     }
+                  },
+                  visibility: {
+                     type: 'object',
+                     properties: {
+                        flags: {
+                           type: 'array',
+                           'x-ax-role': 'flag-subscriber',
+                           items: { type: 'string', format: 'flag-topic' }
+                        }
+                     }
+                  },
+                  label: { type: 'string' }
+               }
+            }
+         }
+      },
+      {
+         name: 'loader-widget',
+         refs: [ 'loader-widget', 'amd:loader-widget' ],
+         descriptor: {
+            features: {
+               type: 'object',
+               properties: {
+                  resources: {
+                     type: 'object',
+                     'x-ax-role': 'resource-publisher',
+                     additionalProperties: { type: 'string', format: 'topic' }
+                  },
+                  onActions: {
+                     type: 'array',
+                     items: { type: 'string', format: 'topic', 'x-ax-role': 'action-subscriber' }
+                  }
+               }
+            }
+         }
+      },
+      {
+         name: 'plain-widget',
+         refs: [ 'plain-widget' ],
+         descriptor: { name: 'plain-widget' }
+      }
+   ];
+
+   const page = {
+      name: 'editor',
+      definition: {
+         areas: {
+            content: [
+               {
+                  id: 'editor',
+                  widget: 'editor-widget',
+                  features: {
+                     user: { resource: 'user', save: 'saveUser' },
+                     visibility: { flags: [ '!busy' ] },
+                     label: 'not-a-topic'
+                  }
+               },
+               { id: 'plain', widget: 'plain-widget', features: { resource: 'user' } },
+               { id: 'nested', layout: 'two-columns' }
+            ],
+            'nested.left': [
+               {
+                  id: 'loader',
+                  widget: 'amd:loader-widget',
+                  features: { resources: { user: 'user', settings: 'settings' }, onActions: [ 'saveUser' ] }
+               }
+            ]
+         }
+      }
+   };
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( artifacts )', () => {
+
+      const topology = eventTopology.create( { widgets } );
+
+      it( 'returns an eventTopology', () => {
+         expect( topology ).to.be.an( 'object' );
+      } );
+
+      describe( 'the returned eventTopology', () => {
+         it( 'has methods to analyze the topology of pages', () => {
+            expect( topology ).to.respondTo( 'analyzeTopology' );
+            expect( topology ).to.respondTo( 'pageTopology' );
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.pageTopology( page )', () => {
+
+      it( 'lists the publishers and subscribers of each topic, following the x-ax-role annotations', () => {
+         expect( eventTopology.create( { widgets } ).pageTopology( page ) ).to.eql( {
+            resources: {
+               user: {
+                  publishers: [ { id: 'loader', widget: 'amd:loader-widget', feature: 'resources.user' } ],
+                  subscribers: [ { id: 'editor', widget: 'editor-widget', feature: 'user.resource' } ]
+               },
+               settings: {
+                  publishers: [
+                     { id: 'loader', widget: 'amd:loader-widget', feature: 'resources.settings' }
+                  ],
+                  subscribers: []
+               }
+            },
+            actions: {
+               saveUser: {
+                  publishers: [ { id: 'editor', widget: 'editor-widget', feature: 'user.save' } ],
+                  subscribers: [ { id: 'loader', widget: 'amd:loader-widget', feature: 'onActions.0' } ]
+               }
+            },
+            flags: {
+               busy: {
+                  publishers: [],
+                  subscribers: [ { id: 'editor', widget: 'editor-widget', feature: 'visibility.flags.0' } ]
+               }
+            }
+         } );
+      } );
+
+      it( 'ignores items of unknown widgets', () => {
+         expect( eventTopology.create( { widgets: [] } ).pageTopology( page ) )
+            .to.eql( { resources: {}, actions: {}, flags: {} } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.topologyProblems( topology )', () => {
+
+      const alice = { id: 'alice', widget: 'a', feature: 'x' };
+      const bob = { id: 'bob', widget: 'b', feature: 'y' };
+
+      it( 'reports topics that are never published or never subscribed', () => {
+         const problems = topologyProblems( {
+            resources: { user: { publishers: [], subscribers: [ alice, bob ] } },
+            actions: { save: { publishers: [ alice ], subscribers: [] } },
+            flags: { busy: { publishers: [ alice ], subscribers: [ bob ] } }
+         } );
+         expect( problems ).to.eql( [
+            {
+               type: 'unpublished',
+               kind: 'resource',
+               topic: 'user',
+               participants: [ alice, bob ],
+               message: 'Resource "user" is subscribed by alice, bob, but never published'
+            },
+            {
+               type: 'unsubscribed',
+               kind: 'action',
+               topic: 'save',
+               participants: [ alice ],
+               message: 'Action "save" is published by alice, but never subscribed'
+            }
+         ] );
+      } );
+
+      it( 'reports resources with more than one master', () => {
+         const problems = topologyProblems( {
+            resources: { user: { publishers: [ alice, bob ], subscribers: [ alice ] } },
+            actions: { save: { publishers: [ alice, bob ], subscribers: [ alice ] } }
+         } );
+         expect( problems.map( _ => _.message ) ).to.eql( [
+            'Resource "user" has more than one master: alice, bob'
+         ] );
+      } );
+
+      it( 'allows a widget to publish a resource using multiple features', () => {
+         const problems = topologyProblems( {
+            resources: { user: { publishers: [ alice, { ...alice, feature: 'z' } ], subscribers: [ bob ] } }
+         } );
+         expect( problems ).to.eql( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.analyzeTopology( pages )', () => {
+
+      it( 'returns the topology and problems of each page', () => {
+         const topology = eventTopology.create( { widgets } );
+         const [ result ] = topology.analyzeTopology( [ page ] );
+         expect( result.page ).to.equal( 'editor' );
+         expect( result.topology ).to.eql( topology.pageTopology( page ) );
+         expect( result.problems.map( _ => _.message ) ).to.eql( [
+            'Resource "settings" is published by loader, but never subscribed',
+            'Flag "busy" is subscribed by editor, but never published'
+         ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'the x-ax-role schema keyword', () => {
+
+      it( 'is accepted by the validator', () => {
+         const validate = createAjv().compile( {
+            $schema,
+            type: 'string',
+            format: 'topic',
+            'x-ax-role': 'resource-publisher'
+         }, 'topic' );
+         expect( validate( 'user' ) ).to.equal( true );
+      } );
+
+      it( 'rejects unknown roles', () => {
+         expect( () => createAjv().compile( { $schema, type: 'string', 'x-ax-role': 'master' }, 'topic' ) )
+            .to.throw( 'Unknown x-ax-role "master", expected one of: resource-publisher' );
+      } );
+
+   } );
+
+} );
@@ -0,0 +1,205 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import { parse } from '../src/source_locations';
+import flowGraph, { placePatterns, ambiguousPatterns } from '../src/flow_graph';
+
+describe( 'flowGraph', () => {
+
+   function flow( name, places ) {
+      return { name, path: `/app/flows/${name}.json`, refs: [ name ], definition: { places } };
+   }
+
+   const problemsOf = flow => flowGraph.create( flow ).problems();
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( flow )', () => {
+
+      const graph = flowGraph.create( flow( 'main', {} ) );
+
+      it( 'returns a flowGraph', () => {
+         expect( graph ).to.be.an( 'object' );
+      } );
+
+      describe( 'the returned graph', () => {
+         it( 'has methods to query the navigation graph', () => {
+            expect( graph ).to.respondTo( 'edges' );
+            expect( graph ).to.respondTo( 'problems' );
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.edges()', () => {
+
+      it( 'lists an edge for each redirect and target', () => {
+         expect( flowGraph.create( flow( 'main', {
+            entry: { redirectTo: 'home' },
+            home: { page: 'home', targets: { next: 'details', back: 'home' } },
+            details: { page: 'details' }
+         } ) ).edges() ).to.eql( [
+            { from: 'entry', to: 'home', target: null },
+            { from: 'home', to: 'details', target: 'next' },
+            { from: 'home', to: 'home', target: 'back' }
+         ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.problems()', () => {
+
+      it( 'accepts a consistent flow', () => {
+         expect( problemsOf( flow( 'main', {
+            entry: { redirectTo: 'home' },
+            home: { page: 'home', targets: { next: 'details' } },
+            details: { page: 'details', targets: { back: 'home' } }
+         } ) ) ).to.eql( [] );
+      } );
+
+      it( 'reports targets and redirects to missing places', () => {
+         const problems = problemsOf( flow( 'main', {
+            entry: { redirectTo: 'start' },
+            home: { patterns: [ '/' ], page: 'home', targets: { next: 'detail' } }
+         } ) );
+         expect( problems ).to.eql( [
+            {
+               type: 'missing-place',
+               flow: '/app/flows/main.json',
+               place: 'entry',
+               message: 'In flow "/app/flows/main.json", place "entry": ' +
+                  'redirectTo refers to missing place "start"',
+               location: { file: '/app/flows/main.json', pointer: '/places/entry/redirectTo' }
+            },
+            {
+               type: 'missing-place',
+               flow: '/app/flows/main.json',
+               place: 'home',
+               message: 'In flow "/app/flows/main.json", place "home": ' +
+                  'target "next" refers to missing place "detail"',
+               location: { file: '/app/flows/main.json', pointer: '/places/home/targets/next' }
+            }
+         ] );
+      } );
+
+      it( 'reports redirect loops once', () => {
+         const problems = problemsOf( flow( 'main', {
+            entry: { redirectTo: 'a' },
+            a: { redirectTo: 'b' },
+            b: { redirectTo: 'c' },
+            c: { redirectTo: 'a' },
+            self: { patterns: [ '/self' ], redirectTo: 'self' }
+         } ) );
+         expect( problems.map( _ => _.message ) ).to.eql( [
+            'In flow "/app/flows/main.json", place "a": redirectTo loops: a -> b -> c -> a',
+            'In flow "/app/flows/main.json", place "self": redirectTo loops: self -> self',
+            'In flow "/app/flows/main.json", place "self": place cannot be reached from any entry place'
+         ] );
+      } );
+
+      it( 'reports places that cannot be reached from the entry places', () => {
+         const problems = problemsOf( flow( 'main', {
+            home: { patterns: [ '/' ], page: 'home', targets: { next: 'details' } },
+            details: { page: 'details' },
+            orphan: { page: 'orphan', targets: { next: 'details' } }
+         } ) );
+         expect( problems.map( _ => _.type ) ).to.eql( [ 'unreachable' ] );
+         expect( problems[ 0 ].place ).to.equal( 'orphan' );
+         expect( problems[ 0 ].location )
+            .to.eql( { file: '/app/flows/main.json', pointer: '/places/orphan' } );
+      } );
+
+      it( 'does not check the reachability of flows without entry places', () => {
+         expect( problemsOf( flow( 'main', {
+            home: { page: 'home' },
+            other: { page: 'other' }
+         } ) ) ).to.eql( [] );
+      } );
+
+      it( 'locates problems within the flow source', () => {
+         const text = '{\n   "places": {\n      "entry": { "redirectTo": "nowhere" }\n   }\n}\n';
+         const problems = problemsOf( {
+            ...flow( 'main', JSON.parse( text ).places ),
+            source: parse( text, '/app/flows/main.json' ).source
+         } );
+         expect( problems[ 0 ].location ).to.eql( {
+            file: '/app/flows/main.json',
+            pointer: '/places/entry/redirectTo',
+            line: 3,
+            column: 18
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.placePatterns( placeName, place )', () => {
+
+      it( 'returns the patterns of the place', () => {
+         expect( placePatterns( 'entry', { patterns: [ '/', '/start' ] } ) ).to.eql( [ '/', '/start' ] );
+      } );
+
+      it( 'defaults to the place name', () => {
+         expect( placePatterns( 'home', { page: 'home' } ) ).to.eql( [ '/home' ] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.ambiguousPatterns( flows )', () => {
+
+      it( 'reports patterns of different places that only differ in parameter names', () => {
+         const problems = ambiguousPatterns( [
+            flow( 'main', {
+               user: { patterns: [ '/user/:id', '/profile/:id' ], page: 'user' },
+               'user-by-name': { patterns: [ '/user/:name/' ], page: 'user' },
+               'user-new': { patterns: [ '/user/new' ], page: 'user' }
+            } ),
+            flow( 'admin', {
+               profile: { patterns: [ '/profile/:userId' ], page: 'profile' }
+            } )
+         ] );
+         expect( problems.map( _ => _.message ) ).to.eql( [
+            'In flow "/app/flows/main.json", place "user-by-name": pattern "/user/:name/" is ambiguous ' +
+               'with pattern "/user/:id" of flow "/app/flows/main.json", place "user"',
+            'In flow "/app/flows/admin.json", place "profile": pattern "/profile/:userId" is ambiguous ' +
+               'with pattern "/profile/:id" of flow "/app/flows/main.json", place "user"'
+         ] );
+         expect( problems[ 1 ] ).to.include( {
+            type: 'ambiguous-pattern',
+            flow: '/app/flows/admin.json',
+            place: 'profile',
+            pattern: '/profile/:userId'
+         } );
+         expect( problems[ 1 ].location )
+            .to.eql( { file: '/app/flows/admin.json', pointer: '/places/profile/patterns/0' } );
+      } );
+
+      it( 'considers the default patterns of places', () => {
+         const problems = ambiguousPatterns( [
+            flow( 'main', { home: { page: 'home' } } ),
+            flow( 'other', { start: { patterns: [ '/home' ], page: 'start' } } )
+         ] );
+         expect( problems.map( _ => _.place ) ).to.eql( [ 'start' ] );
+      } );
+
+      it( 'allows a place to repeat its own patterns', () => {
+         expect( ambiguousPatterns( [
+            flow( 'main', { user: { patterns: [ '/user/:id', '/user/:userId' ], page: 'user' } } )
+         ] ) ).to.eql( [] );
+      } );
+
+   } );
+
+} );
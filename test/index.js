@@ -14,6 +14,10 @@ describe( 'laxar-tooling', () => {
       expect( laxarTooling.artifactCollector ).to.respondTo( 'create' );
    } );
 
+   it( 'exports the artifactGraph', () => {
+      expect( laxarTooling.artifactGraph ).to.respondTo( 'create' );
+   } );
+
    it( 'exports the artifactValidator', () => {
       expect( laxarTooling.artifactValidator ).to.respondTo( 'create' );
    } );
@@ -26,8 +30,28 @@ describe( 'laxar-tooling', () => {
       expect( laxarTooling.artifactListing ).to.respondTo( 'create' );
    } );
 
+   it( 'exports the eventTopology', () => {
+      expect( laxarTooling.eventTopology ).to.respondTo( 'create' );
+   } );
+
+   it( 'exports the routeTable', () => {
+      expect( laxarTooling.routeTable ).to.respondTo( 'buildRoutes' );
+   } );
+
    it( 'exports the serialize function', () => {
       expect( laxarTooling ).to.respondTo( 'serialize' );
    } );
 
+   it( 'exports the serializeWithSourceMap function', () => {
+      expect( laxarTooling ).to.respondTo( 'serializeWithSourceMap' );
+   } );
+
+   it( 'exports the serializeModule function', () => {
+      expect( laxarTooling ).to.respondTo( 'serializeModule' );
+   } );
+
+   it( 'exports the serializeModuleWithSourceMap function', () => {
+      expect( laxarTooling ).to.respondTo( 'serializeModuleWithSourceMap' );
+   } );
+
 } );
@@ -5,10 +5,13 @@
  */
 import { expect } from 'chai';
 import { create as createAjv } from '../src/ajv';
-import { create as createPageAssembler } from '../src/page_assembler';
+import { create as createPageAssembler, originOf, disabledIdsOf } from '../src/page_assembler';
+import { create as createValidators } from '../src/validators';
 import { deepClone } from '../src/utils';
+import { parse } from '../src/source_locations';
 import pagesData from './data/pages.json';
 import widgetsData from './data/pages_widgets.json';
+import laxarPageSchema from 'laxar/static/schemas/page.json';
 
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
@@ -18,7 +21,9 @@ const mockPageSchema = {
    properties: {
       areas: { type: 'object' },
       layout: { type: 'string' },
-      extends: { type: 'string' }
+      extends: { type: 'string' },
+      mixins: { type: 'array', items: { type: 'string' } },
+      overrideLayout: { type: 'boolean' }
    },
    additionalProperties: false
 };
@@ -151,6 +156,15 @@ describe( 'A PageAssembler', () => {
             } );
       } );
 
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'lists the IDs of the disabled widgets', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithDisabledWidgets )
+            .then( page => {
+               expect( disabledIdsOf( page ) ).to.eql( [ 'id1', 'id3' ] );
+            } );
+      } );
+
    } );
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -247,6 +261,74 @@ describe( 'A PageAssembler', () => {
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+      it( 'respects insertAfterId, replaceId and removeId in extending page', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPageWithInsertAfterReplaceAndRemoveIds )
+            .then( ({ definition }) => {
+               expect( definition.areas.area1.map( _ => _.id ) ).to.eql( [ 'id1', 'id4' ] );
+               expect( definition.areas.area2.map( _ => _.id ) ).to.eql( [ 'id5' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if no widget with id matching removeId exists', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPageWithNonExistingRemoveId )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "derivedPageWithNonExistingRemoveId": ' +
+                  'No id found that matches removeId value "id1"'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'takes the items of areas that the base page lacks as they are', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPageWithDirectivesInNewArea )
+            .then( ({ definition }) => {
+               expect( definition.areas.area3.map( _ => _.id ) ).to.eql( [ 'id4', 'id5' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if replaceId is used in an area that the base page lacks', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPageWithReplaceIdInNewArea )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "derivedPageWithReplaceIdInNewArea": ' +
+                  'No id found that matches replaceId value "id1"'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if removeId is used in an area that the base page lacks', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPageWithRemoveIdInNewArea )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "derivedPageWithRemoveIdInNewArea": ' +
+                  'No id found that matches removeId value "id1"'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if an item uses more than one of the merge directives', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPageWithMultipleDirectives )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "derivedPageWithMultipleDirectives": ' +
+                  'Item may only use one of insertBeforeId, insertAfterId, replaceId, removeId ' +
+                  '(found insertAfterId, replaceId)'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
       it( 'detects if no widget with id matching insertBeforeId exists', () => {
          return pageAssembler.assemble( pagesByRef.derivedPageWithNonExistingInsertBeforeId )
             .then( unreachable, ({ message }) => {
@@ -277,6 +359,342 @@ describe( 'A PageAssembler', () => {
             } );
       } );
 
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'lists the IDs of the widgets that are disabled in the extended page', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithDisabledWidgetsInExtendedPage )
+            .then( page => {
+               expect( disabledIdsOf( page ) ).to.eql( [ 'id1', 'id3' ] );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when a page uses mixins', () => {
+
+      it( 'merges the areas of the base page, of each mixin and of the page itself in that order', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithMixins )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'someLayout' );
+               expect( definition.areas.header.map( _ => _.id ) )
+                  .to.eql( [ 'logo', 'notificationBar', 'debugToggle', 'title' ] );
+               expect( definition.areas.footer.map( _ => _.id ) ).to.eql( [ 'debugPanel' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses the layout of a mixin', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithMixinsOnly )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'otherLayout' );
+               expect( definition.areas.header.map( _ => _.id ) ).to.eql( [ 'debugToggle' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if a mixin overwrites the layout of the base page', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithMixinOverwritingLayout )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "pageWithMixinOverwritingLayout": ' +
+                  'Mixin "withLayout" overwrites layout set by base page "pageWithLayout"'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if a page overwrites the layout of a mixin', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithLayoutAndMixinWithLayout )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "pageWithLayoutAndMixinWithLayout": ' +
+                  'Page overwrites layout set by mixin "withLayout"'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects cycles through mixins', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithCyclicMixin )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "pageWithCyclicMixin": ' +
+                  'Cycle in page extension detected: pageWithCyclicMixin -> cyclic -> pageWithCyclicMixin'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects duplicate IDs of the page and its mixins', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithDuplicateIdFromMixin )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "pageWithDuplicateIdFromMixin": ' +
+                  'Duplicate widget/composition/layout ID(s): notificationBar'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'respects merge directives of mixin items, referring to the preceding items', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithMixinDirectives )
+            .then( ({ definition }) => {
+               expect( definition.areas.header.map( _ => _.id ) )
+                  .to.eql( [ 'debugToggle', 'notificationBar' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'does not apply merge directives again that were applied when assembling a mixin', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithExtendingMixin )
+            .then( ({ definition }) => {
+               expect( definition.areas.header.map( _ => _.id ) )
+                  .to.eql( [ 'debugToggle', 'notificationIcon', 'notificationBar' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects if no item matches the merge directive of a mixin item', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithMissingMixinDirectiveTarget )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "pageWithMissingMixinDirectiveTarget": ' +
+                  'No id found that matches replaceId value "title"'
+               );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when a page overrides the layout of its base page', () => {
+
+      let layouts;
+
+      beforeEach( () => {
+         layouts = {
+            printLayout: [ 'header', 'content' ],
+            screenLayout: [ 'content', 'sidebar' ]
+         };
+         pageAssembler = createPageAssembler( validators, {
+            pages: pagesByRef,
+            widgets: widgetsByRef,
+            layouts: {}
+         }, { layoutAreas: layout => layouts[ layout ] || null } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'uses its own layout and keeps the areas of the base page', () => {
+         layouts.printLayout.push( 'sidebar' );
+         return pageAssembler.assemble( pagesByRef.printPage )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'printLayout' );
+               expect( definition.areas.content.map( _ => _.id ) ).to.eql( [ 'article' ] );
+               expect( definition.areas.header.map( _ => _.id ) ).to.eql( [ 'printHeader' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'detects inherited items in areas that the new layout does not provide', () => {
+         return pageAssembler.assemble( pagesByRef.printPage )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.eql(
+                  'Error loading page "printPage": ' +
+                  'Layout "printLayout" does not provide area(s) used by inherited items: sidebar'
+               );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'ignores areas whose inherited items were removed', () => {
+         return pageAssembler.assemble( pagesByRef.printPageWithoutSidebar )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'printLayout' );
+               expect( definition.areas.sidebar ).to.eql( [] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'skips the check with a warning if the areas of the layout are not known', () => {
+         const warnings = [];
+         pageAssembler = createPageAssembler( validators, {
+            pages: pagesByRef,
+            widgets: widgetsByRef,
+            layouts: {}
+         }, { layoutAreas: layout => layouts[ layout ] || null, warn: _ => warnings.push( _ ) } );
+
+         delete layouts.printLayout;
+         return pageAssembler.assemble( pagesByRef.printPage )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'printLayout' );
+               expect( warnings.map( _ => _.message ) ).to.eql( [
+                  'Page "printPage": cannot check the areas used by inherited items, ' +
+                  'because the areas of layout "printLayout" are not known'
+               ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'skips the check with a warning if no templates are available', () => {
+         const warnings = [];
+         pageAssembler = createPageAssembler( validators, {
+            pages: pagesByRef,
+            widgets: widgetsByRef,
+            layouts: {}
+         }, { warn: _ => warnings.push( _ ) } );
+
+         return pageAssembler.assemble( pagesByRef.printPage )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'printLayout' );
+               expect( warnings ).to.have.length( 1 );
+               expect( warnings[ 0 ].location ).to.include( { pointer: '/layout' } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when generating widget IDs', () => {
+
+      const ids = ({ definition }) => Object.keys( definition.areas )
+         .map( areaName => definition.areas[ areaName ].map( ({ id }) => id ) );
+
+      it( 'generates IDs that do not depend on the pages assembled before', () => {
+         const assembleFresh = name => createPageAssembler( validators, {
+            pages: deepClone( pagesData ),
+            widgets: widgetsByRef,
+            layouts: {}
+         } ).assemble( deepClone( pagesData[ name ] ) );
+
+         return pageAssembler.assemble( pagesByRef.pageWithMissingWidgetIds )
+            .then( () => pageAssembler.assemble( pagesByRef.pageWithSimpleComposition ) )
+            .then( page => assembleFresh( 'pageWithSimpleComposition' )
+               .then( freshPage => expect( ids( page ) ).to.eql( ids( freshPage ) ) ) );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'generates IDs that are valid topic segments', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithSimpleComposition )
+            .then( ({ definition }) => {
+               expect( definition.areas.area1[ 2 ].id ).to.match( /^axTestWidget2-id[0-9a-f]{8}$/ );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'generates distinct IDs for the items of each instance of a composition', () => {
+         const pageWithTwoCompositions = {
+            name: 'pageWithTwoCompositions',
+            definition: {
+               areas: {
+                  area1: [ { composition: 'simpleComposition' }, { composition: 'simpleComposition' } ]
+               }
+            }
+         };
+         return pageAssembler.assemble( pageWithTwoCompositions )
+            .then( page => {
+               const [ area1 ] = ids( page );
+               expect( area1.length ).to.equal( 6 );
+               expect( area1.filter( ( id, index ) => area1.indexOf( id ) === index ) ).to.eql( area1 );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'generates IDs from the page ref, so that pages of the same name get distinct IDs', () => {
+         const pageWithRef = ref => ( { ...deepClone( pagesData.pageWithMissingWidgetIds ), refs: [ ref ] } );
+         return Promise.all( [
+            pageAssembler.assemble( pageWithRef( 'shop/pageWithMissingWidgetIds' ) ),
+            pageAssembler.assemble( pageWithRef( 'admin/pageWithMissingWidgetIds' ) ),
+            pageAssembler.assemble( pageWithRef( 'shop/pageWithMissingWidgetIds' ) )
+         ] ).then( ( [ shopPage, adminPage, samePage ] ) => {
+            expect( shopPage.name ).to.equal( adminPage.name );
+            expect( ids( shopPage ) ).not.to.eql( ids( adminPage ) );
+            expect( ids( shopPage ) ).to.eql( ids( samePage ) );
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when tracking the origin of items', () => {
+
+      const declaration = ({ id, composition, page, pointer }) => ( {
+         ...( id ? { id, composition } : {} ),
+         page,
+         pointer
+      } );
+
+      it( 'records the page declaring an item inherited from a base page', () => {
+         return pageAssembler.assemble( pagesByRef.derivedPage )
+            .then( ({ definition }) => {
+               const origin = originOf( definition.areas.area1[ 0 ] );
+               expect( declaration( origin ) ).to.eql( { page: 'basePage', pointer: '/areas/area1/0' } );
+               expect( origin.compositions ).to.eql( [] );
+               expect( declaration( originOf( definition.areas.area1[ 2 ] ) ) )
+                  .to.eql( { page: 'derivedPage', pointer: '/areas/area1/0' } );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'records the chain of composition instances that an item was expanded from', () => {
+         compile( 'page', 'compositionWithEmbeddedComposition' );
+         return pageAssembler.assemble( pagesByRef.pageWithCompositionWithEmbeddedComposition )
+            .then( ({ definition }) => {
+               const origin = originOf( definition.areas.area1[ 0 ] );
+               expect( declaration( origin ) )
+                  .to.eql( { page: 'compositionWithFeaturesDefined', pointer: '/areas/./0' } );
+               expect( origin.compositions.map( declaration ) ).to.eql( [ {
+                  id: 'compositionWithEmbeddedComposition-id5885914d',
+                  composition: 'compositionWithEmbeddedComposition',
+                  page: 'pageWithCompositionWithEmbeddedComposition',
+                  pointer: '/areas/area1/0'
+               }, {
+                  id: 'compositionWithEmbeddedComposition-id5885914d-myComposition',
+                  composition: 'compositionWithFeaturesDefined',
+                  page: 'compositionWithEmbeddedComposition',
+                  pointer: '/areas/./0'
+               } ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'lists the origins of all items by ID in the debug information', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithSimpleComposition )
+            .then( ({ definition, debugInfo }) => {
+               const item = definition.areas.area1[ 2 ];
+               expect( debugInfo.origins[ item.id ] ).to.eql( originOf( item ) );
+               expect( Object.keys( debugInfo.origins ).length ).to.equal( 6 );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'returns null for items that were not assembled', () => {
+         expect( originOf( { widget: 'someWidgetPath1' } ) ).to.equal( null );
+      } );
+
    } );
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -289,11 +707,11 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.area1.length ).to.eql( 5 );
                expect( definition.areas.area1[ 0 ] ).to.eql( { widget: 'someWidgetPath1', id: 'id1' } );
                expect( definition.areas.area1[ 1 ] )
-                  .to.eql( { widget: 'laxarjs/test_widget', id: 'simpleComposition-id0-idx1' } );
+                  .to.eql( { widget: 'laxarjs/test_widget', id: 'simpleComposition-id2b4d36c2-idx1' } );
                expect( definition.areas.area1[ 2 ] )
-                  .to.eql( { widget: 'laxarjs/test_widget2', id: 'axTestWidget2-id2' } );
+                  .to.eql( { widget: 'laxarjs/test_widget2', id: 'axTestWidget2-idfd0f6be1' } );
                expect( definition.areas.area1[ 3 ] )
-                  .to.eql( { widget: 'laxarjs/test_widget2', id: 'axTestWidget2-id1' } );
+                  .to.eql( { widget: 'laxarjs/test_widget2', id: 'axTestWidget2-id2696d7a4' } );
                expect( definition.areas.area1[ 4 ] )
                   .to.eql( { widget: 'someWidgetPath1', id: 'id2' } );
 
@@ -310,7 +728,7 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.area2.length ).to.equal( 2 );
                expect( definition.areas.area2[ 0 ] ).to.eql( { widget: 'someWidgetPath1', id: 'id3' } );
                expect( definition.areas.area2[ 1 ] ).to.eql( {
-                  widget: 'laxarjs/test_widget2', id: 'compositionWithAdditionalAreas-id0-idx2'
+                  widget: 'laxarjs/test_widget2', id: 'compositionWithAdditionalAreas-idaaa07f3d-idx2'
                } );
             } );
       } );
@@ -321,12 +739,12 @@ describe( 'A PageAssembler', () => {
          return pageAssembler.assemble( pagesByRef.pageWithCompositionWithAdditionalAreas )
             .then( ({ definition }) => {
                expect(
-                  definition.areas[ 'compositionWithAdditionalAreas-id0-idx2.content' ].length
+                  definition.areas[ 'compositionWithAdditionalAreas-idaaa07f3d-idx2.content' ].length
                ).to.equal( 1 );
-               expect( definition.areas[ 'compositionWithAdditionalAreas-id0-idx2.content' ][ 0 ] )
+               expect( definition.areas[ 'compositionWithAdditionalAreas-idaaa07f3d-idx2.content' ][ 0 ] )
                   .to.eql( {
                      widget: 'laxarjs/test_widget3',
-                     id: 'compositionWithAdditionalAreas-id0-idx3'
+                     id: 'compositionWithAdditionalAreas-idaaa07f3d-idx3'
                   } );
             } );
       } );
@@ -340,7 +758,7 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.area1.length ).to.equal( 1 );
                expect( definition.areas.area1[ 0 ] ).to.eql( {
                   widget: 'laxarjs/test_widget1',
-                  id: 'compositionWithFeaturesDefined-id0-idx1',
+                  id: 'compositionWithFeaturesDefined-id589648dd-idx1',
                   features: {
                      open: { onActions: [ 'openAction' ] },
                      close: { onActions: [ 'close', 'cancelAction' ] }
@@ -350,7 +768,7 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.areaX.length ).to.equal( 1 );
                expect( definition.areas.areaX[ 0 ] ).to.eql( {
                   widget: 'laxarjs/test_widget2',
-                  id: 'axTestWidget2-id1',
+                  id: 'axTestWidget2-idab2ada7d',
                   features: {
                      importantFeature: {
                         resource: 'cars',
@@ -373,7 +791,7 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.area1.length ).to.equal( 1 );
                expect( definition.areas.area1[ 0 ] ).to.eql( {
                   widget: 'laxarjs/test_widget1',
-                  id: 'compositionWithFeaturesDefined-id0-idx1',
+                  id: 'compositionWithFeaturesDefined-idfa9320df-idx1',
                   features: {
                      open: { onActions: [ 'openAction' ] },
                      close: { onActions: [ 'close', 'cancelAction' ] }
@@ -383,10 +801,10 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.areaX.length ).to.equal( 1 );
                expect( definition.areas.areaX[ 0 ] ).to.eql( {
                   widget: 'laxarjs/test_widget2',
-                  id: 'axTestWidget2-id1',
+                  id: 'axTestWidget2-id2997f424',
                   features: {
                      importantFeature: {
-                        resource: 'compositionWithFeaturesDefined+id0+myResource',
+                        resource: 'compositionWithFeaturesDefined+idfa9320df+myResource',
                         attribute: 'entries'
                      }
                   }
@@ -403,7 +821,7 @@ describe( 'A PageAssembler', () => {
                expect( definition.areas.area1.length ).to.equal( 2 );
                expect( definition.areas.area1[ 0 ] ).to.eql( {
                   widget: 'laxarjs/test_widget1',
-                  id: 'compositionWithEmbeddedComposition-id0-myComposition-idx1',
+                  id: 'compositionWithEmbeddedComposition-id5885914d-myComposition-idx1',
                   features: {
                      open: { onActions: [ 'openAction' ] },
                      close: { onActions: [ 'shutdownAction' ] }
@@ -411,13 +829,13 @@ describe( 'A PageAssembler', () => {
                } );
                expect( definition.areas.area1[ 1 ] ).to.eql( {
                   widget: 'laxarjs/test_widget2',
-                  id: 'axTestWidget2-id1'
+                  id: 'axTestWidget2-id8d21eeb3'
                } );
 
                expect( definition.areas.areaX.length ).to.equal( 1 );
                expect( definition.areas.areaX[ 0 ] ).to.eql( {
                   widget: 'laxarjs/test_widget2',
-                  id: 'axTestWidget2-id2',
+                  id: 'axTestWidget2-idee778a97',
                   features: {
                      importantFeature: {
                         resource: 'plane',
@@ -477,8 +895,8 @@ describe( 'A PageAssembler', () => {
          return pageAssembler.assemble( pagesByRef.pageWithCompositionInSubFolder )
             .then( ({ definition }) => {
                const widget = definition.areas.area1[ 0 ];
-               expect( widget.id ).to.eql( 'compositionInSubfolder-id0-myWidget3' );
-               expect( widget.features.xy.resource ).to.eql( 'compositionInSubfolder+id0+myResource' );
+               expect( widget.id ).to.eql( 'compositionInSubfolder-id3e1e9983-myWidget3' );
+               expect( widget.features.xy.resource ).to.eql( 'compositionInSubfolder+id3e1e9983+myResource' );
             } );
       } );
 
@@ -547,7 +965,8 @@ describe( 'A PageAssembler', () => {
                const { area1, area2 } = definition.areas;
                expect( area1.length ).to.equal( 3 );
                expect( area1[ 0 ] ).to.eql( { widget: 'someWidgetPath1', id: 'id1' } );
-               expect( area1[ 1 ] ).to.eql( { widget: 'laxarjs/test_widget2', id: 'axTestWidget2-id1' } );
+               expect( area1[ 1 ] )
+                  .to.eql( { widget: 'laxarjs/test_widget2', id: 'axTestWidget2-id04fba989' } );
                expect( area1[ 2 ] ).to.eql( { widget: 'someWidgetPath1', id: 'id2' } );
 
                expect( area2.length ).to.equal( 1 );
@@ -557,6 +976,17 @@ describe( 'A PageAssembler', () => {
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+      it( 'lists the prefixed IDs of the widgets that are disabled within compositions', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithCompositionWithDisabledWidgets )
+            .then( page => {
+               const ids = disabledIdsOf( page );
+               expect( ids.length ).to.equal( 1 );
+               expect( ids[ 0 ] ).to.match( /-idx1$/ );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
       describe( 'when features are missing from the composition configuration (#29)', () => {
 
          it( 'removes undefined values in widget features', () => {
@@ -630,6 +1060,15 @@ describe( 'A PageAssembler', () => {
 
       ////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+      it( 'accepts replaceId and removeId in compositions', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithCompositionWithReplaceId )
+            .then( ({ definition: { areas } }) => {
+               expect( areas.test.map( _ => _.widget ) ).to.eql( [ 'replacement' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
       it( 'resolves IDs correctly', () => {
          return pageAssembler.assemble( pagesByRef.pageWithBrokenCompositionWithInsertBeforeId )
             .then( ({ definition: { areas } }) => {
@@ -703,6 +1142,126 @@ describe( 'A PageAssembler', () => {
 
    ///////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+   describe( 'when pages were read with source information', () => {
+
+      beforeEach( () => {
+         [
+            'invalidPage',
+            'pageWithDuplicateWidgetIdsInSameArea',
+            'pageWithFeaturesOfCompositionBadlyConfigured'
+         ].forEach( ref => {
+            const page = pagesByRef[ ref ];
+            page.source = parse( JSON.stringify( page.definition, null, 3 ), `${ref}.json` ).source;
+         } );
+         compile( 'page', 'compositionWithFeaturesWithoutDefaults' );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'locates validation errors in the page file', () => {
+         return pageAssembler.assemble( pagesByRef.invalidPage )
+            .then( unreachable, ({ errors }) => {
+               expect( errors[ 0 ].location ).to.eql( {
+                  file: 'invalidPage.json',
+                  pointer: '',
+                  line: 1,
+                  column: 1
+               } );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'locates duplicate widget IDs', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithDuplicateWidgetIdsInSameArea )
+            .then( unreachable, ({ location }) => {
+               expect( location ).to.eql( {
+                  file: 'pageWithDuplicateWidgetIdsInSameArea.json',
+                  pointer: '/areas/testArea/2/id',
+                  line: 15,
+                  column: 13
+               } );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'locates invalid composition features in the page using the composition', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithFeaturesOfCompositionBadlyConfigured )
+            .then( unreachable, ({ errors }) => {
+               expect( errors[ 0 ].location ).to.eql( {
+                  file: 'pageWithFeaturesOfCompositionBadlyConfigured.json',
+                  pointer: '/areas/area1/0/features/something/resource',
+                  line: 8,
+                  column: 19
+               } );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( 'when validating pages with the page schema of LaxarJS', () => {
+
+      let laxarValidators;
+
+      beforeEach( () => {
+         laxarValidators = createValidators( jsonSchema, {
+            schemas: [ { name: 'page', refs: [ 'page' ], definition: laxarPageSchema } ]
+         } );
+         pageAssembler = createPageAssembler( laxarValidators, {
+            pages: pagesByRef,
+            widgets: widgetsByRef,
+            layouts: {}
+         } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'accepts the merge directives of the page assembler', () => {
+         const { definition } = pagesByRef.derivedPageWithInsertAfterReplaceAndRemoveIds;
+         expect( jsonSchema.compile( laxarPageSchema, 'page' )( deepClone( definition ) ) ).to.equal( false );
+         return pageAssembler.assemble( pagesByRef.derivedPageWithInsertAfterReplaceAndRemoveIds )
+            .then( ({ definition }) => {
+               expect( definition.areas.area1.map( _ => _.id ) ).to.eql( [ 'id1', 'id4' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'accepts mixins', () => {
+         return pageAssembler.assemble( pagesByRef.pageWithMixins )
+            .then( ({ definition }) => {
+               expect( definition.areas.footer.map( _ => _.id ) ).to.eql( [ 'debugPanel' ] );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'accepts pages that override the inherited layout', () => {
+         return pageAssembler.assemble( pagesByRef.printPageWithoutSidebar )
+            .then( ({ definition }) => {
+               expect( definition.layout ).to.eql( 'printLayout' );
+            } );
+      } );
+
+      ////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+      it( 'still rejects unknown item properties', () => {
+         const page = deepClone( pagesByRef.basePage );
+         page.definition.areas.area1[ 0 ].insertAfter = 'id2';
+         return pageAssembler.assemble( page )
+            .then( unreachable, ({ message }) => {
+               expect( message ).to.contain( 'should NOT have additional properties' );
+               expect( message ).to.contain( '"additionalProperty":"insertAfter"' );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
    describe( 'when instantiating a widget', () => {
 
       beforeEach( () => {
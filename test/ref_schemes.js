@@ -0,0 +1,137 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import { create as createRefSchemes } from '../src/ref_schemes';
+
+describe( 'refSchemes', () => {
+
+   const files = [
+      'app/widgets/local-widget',
+      'shared/shared-widget',
+      'module-widget'
+   ];
+
+   function resolve( path ) {
+      return files.indexOf( path ) >= 0 ?
+         Promise.resolve( path ) :
+         Promise.reject( new Error( `Not found: ${path}` ) );
+   }
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( resolve )', () => {
+
+      const resolveRef = createRefSchemes( resolve );
+
+      it( 'resolves local refs relative to the lookup path', () => {
+         return resolveRef( 'local:local-widget', 'app/widgets' )
+            .then( path => {
+               expect( path ).to.eql( 'app/widgets/local-widget' );
+            } );
+      } );
+
+      it( 'resolves module refs as they are', () => {
+         return resolveRef( 'module:module-widget', 'app/widgets' )
+            .then( path => {
+               expect( path ).to.eql( 'module-widget' );
+            } );
+      } );
+
+      it( 'resolves refs without a scheme locally, falling back to modules', () => {
+         return Promise.all( [
+            resolveRef( 'local-widget', 'app/widgets' ),
+            resolveRef( 'module-widget', 'app/widgets' )
+         ] ).then( paths => {
+            expect( paths ).to.eql( [ 'app/widgets/local-widget', 'module-widget' ] );
+         } );
+      } );
+
+      it( 'tries a list of lookup paths in turn, reporting the one that satisfied the ref', () => {
+         return Promise.all( [
+            resolveRef.locate( 'shared-widget', [ 'app/widgets', 'shared' ] ),
+            resolveRef.locate( 'module-widget', [ 'app/widgets', 'shared' ] )
+         ] ).then( locations => {
+            expect( locations ).to.eql( [
+               { path: 'shared/shared-widget', root: 'shared' },
+               { path: 'module-widget', root: null }
+            ] );
+         } );
+      } );
+
+      it( 'rejects refs with an unknown scheme', () => {
+         return resolveRef( 'shared:shared-widget', 'app/widgets' )
+            .then( () => expect.fail(), err => {
+               expect( err.message ).to.eql( 'Unknown scheme "shared" in ref "shared:shared-widget"' );
+            } );
+      } );
+
+      it( 'tells if a ref has a known scheme', () => {
+         expect( resolveRef.hasScheme( 'module:module-widget' ) ).to.eql( true );
+         expect( resolveRef.hasScheme( 'shared:shared-widget' ) ).to.eql( false );
+         expect( resolveRef.hasScheme( 'local-widget' ) ).to.eql( false );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( resolve, schemes )', () => {
+
+      const shared = ( ref, lookupPath, resolve ) => resolve( `shared/${ref}` );
+
+      it( 'resolves refs with custom schemes', () => {
+         const resolveRef = createRefSchemes( resolve, { shared } );
+         return resolveRef( 'shared:shared-widget', 'app/widgets' )
+            .then( path => {
+               expect( path ).to.eql( 'shared/shared-widget' );
+            } );
+      } );
+
+      it( 'tries the fallback schemes of a scheme in order', () => {
+         const resolveRef = createRefSchemes( resolve, {
+            shared,
+            fixture: {
+               resolve: ref => Promise.reject( new Error( `No fixture: ${ref}` ) ),
+               fallback: [ 'shared', 'module' ]
+            }
+         } );
+         return Promise.all( [
+            resolveRef( 'fixture:shared-widget', 'app/widgets' ),
+            resolveRef( 'fixture:module-widget', 'app/widgets' )
+         ] ).then( paths => {
+            expect( paths ).to.eql( [ 'shared/shared-widget', 'module-widget' ] );
+         } );
+      } );
+
+      it( 'allows to change the fallback order of built-in schemes', () => {
+         const resolveRef = createRefSchemes( resolve, {
+            shared,
+            default: { fallback: [ 'shared' ] }
+         } );
+         return Promise.all( [
+            resolveRef( 'shared-widget', 'app/widgets' ),
+            resolveRef( 'module-widget', 'app/widgets' ).then( () => expect.fail(), err => err.message )
+         ] ).then( ( [ path, message ] ) => {
+            expect( path ).to.eql( 'shared/shared-widget' );
+            expect( message ).to.eql( 'Not found: shared/module-widget' );
+         } );
+      } );
+
+      it( 'rejects unknown fallback schemes', () => {
+         expect( () => createRefSchemes( resolve, { shared: { resolve: shared, fallback: [ 'cdn' ] } } ) )
+            .to.throw( 'Unknown fallback scheme "cdn" for scheme "shared"' );
+      } );
+
+      it( 'rejects custom schemes without resolve function', () => {
+         expect( () => createRefSchemes( resolve, { shared: { fallback: [ 'module' ] } } ) )
+            .to.throw( 'Scheme "shared" is missing a resolve function' );
+      } );
+
+   } );
+
+} );
@@ -0,0 +1,139 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import { buildRoutes, toJson, toText } from '../src/route_table';
+
+describe( 'routeTable', () => {
+
+   const flows = [
+      {
+         name: 'main',
+         path: '/app/flows/main.json',
+         refs: [ 'main' ],
+         definition: {
+            places: {
+               entry: { patterns: [ '/' ], redirectTo: 'user' },
+               user: {
+                  patterns: [ '/user/:id', '/profile/:id/:tab' ],
+                  page: 'user',
+                  defaultParameters: { id: 'me', tab: 'profile', debug: false }
+               },
+               help: { page: 'help' },
+               legacy: { redirectTo: 'gone' }
+            }
+         }
+      },
+      {
+         name: 'admin',
+         path: '/app/flows/admin.json',
+         refs: [ 'admin' ],
+         definition: {
+            places: {
+               settings: { patterns: [ '/admin/settings/:section' ], page: 'admin/settings' }
+            }
+         }
+      }
+   ];
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.buildRoutes( flows )', () => {
+
+      it( 'lists a route for each pattern of each place', () => {
+         expect( buildRoutes( flows ).map( _ => `${_.flow} ${_.place} ${_.pattern}` ) ).to.eql( [
+            'main entry /',
+            'main user /user/:id',
+            'main user /profile/:id/:tab',
+            'main help /help',
+            'main legacy /legacy',
+            'admin settings /admin/settings/:section'
+         ] );
+      } );
+
+      it( 'lists the parameters of each route with their defaults', () => {
+         const routes = buildRoutes( flows );
+         expect( routes[ 1 ] ).to.eql( {
+            flow: 'main',
+            pattern: '/user/:id',
+            place: 'user',
+            page: 'user',
+            parameters: [
+               { name: 'id', defaultValue: 'me', query: false },
+               { name: 'tab', defaultValue: 'profile', query: true },
+               { name: 'debug', defaultValue: false, query: true }
+            ],
+            redirectTo: null
+         } );
+         expect( routes[ 2 ].parameters.map( _ => _.name ) ).to.eql( [ 'id', 'tab', 'debug' ] );
+         expect( routes[ 5 ].parameters ).to.eql( [ { name: 'section', defaultValue: null, query: false } ] );
+      } );
+
+      it( 'resolves redirects to the first pattern of the target place', () => {
+         const routes = buildRoutes( flows );
+         expect( routes[ 0 ] ).to.include( { page: null } );
+         expect( routes[ 0 ].redirectTo ).to.eql( { place: 'user', pattern: '/user/:id' } );
+         expect( routes[ 4 ].redirectTo ).to.eql( { place: 'gone', pattern: null } );
+      } );
+
+      it( 'returns an empty table for flows without places', () => {
+         expect( buildRoutes( [ { name: 'empty', definition: { places: {} } } ] ) ).to.eql( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.toJson( routes, [indent] )', () => {
+
+      it( 'exports the routes as JSON', () => {
+         const routes = buildRoutes( flows );
+         expect( JSON.parse( toJson( routes ) ) ).to.eql( routes );
+         expect( toJson( routes.slice( 3, 4 ), 0 ) ).to.equal(
+            '[{"flow":"main","pattern":"/help","place":"help","page":"help",' +
+               '"parameters":[],"redirectTo":null}]\n'
+         );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.toText( routes )', () => {
+
+      it( 'exports one line per route, with aligned columns', () => {
+         expect( toText( buildRoutes( flows ) ) ).to.equal( [
+            '/                         entry     redirect:/user/:id',
+            '/user/:id                 user      page:user            id=me ?tab=profile ?debug=false',
+            '/profile/:id/:tab         user      page:user            id=me tab=profile ?debug=false',
+            '/help                     help      page:help',
+            '/legacy                   legacy    redirect:gone',
+            '/admin/settings/:section  settings  page:admin/settings  section',
+            ''
+         ].join( '\n' ) );
+      } );
+
+      it( 'lists default values that are objects or arrays as JSON', () => {
+         const places = {
+            search: { page: 'search', defaultParameters: { filter: { tags: [ 'new' ] }, sort: [ 'date' ] } }
+         };
+         expect( toText( buildRoutes( [ { name: 'f', definition: { places } } ] ) ) )
+            .to.equal( '/search  search  page:search  ?filter={"tags":["new"]} ?sort=["date"]\n' );
+      } );
+
+      it( 'marks places without a page', () => {
+         expect( toText( buildRoutes( [ { name: 'f', definition: { places: { empty: {} } } } ] ) ) )
+            .to.equal( '/empty  empty  -\n' );
+      } );
+
+      it( 'exports an empty table as empty text', () => {
+         expect( toText( [] ) ).to.equal( '' );
+      } );
+
+   } );
+
+} );
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import serialize, { serializeWithSourceMap } from '../src/serialize';
+import { withSource } from '../src/source_locations';
+
+describe( 'serialize', () => {
+
+   const source = {
+      file: 'page.json',
+      positions: {
+         '': { line: 1, column: 1 },
+         '/layout': { line: 2, column: 4 }
+      }
+   };
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '( object, [indent], [pad], [space] )', () => {
+
+      it( 'serializes objects to JavaScript', () => {
+         expect( serialize( { a: 1, b: [ 1, 2, 3 ], c: () => 'require( "test" )' } ) )
+            .to.equal( '{ a: 1, b: [ 1, 2, 3 ], c: require( "test" ) }' );
+      } );
+
+      it( 'ignores the source of annotated objects', () => {
+         expect( serialize( withSource( { layout: 'one-column' }, source ) ) )
+            .to.equal( '{ layout: "one-column" }' );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.serializeWithSourceMap( object, [options] )', () => {
+
+      it( 'serializes the object like serialize does', () => {
+         const object = {
+            a: { b: [ 'a long string to enforce line breaks', 1, 2, 3 ] },
+            c: 'another string'
+         };
+         expect( serializeWithSourceMap( object ).code ).to.equal( serialize( object ) );
+      } );
+
+      it( 'creates an empty source map for objects without a source', () => {
+         expect( serializeWithSourceMap( { a: 1 }, { file: 'out.js' } ).map ).to.eql( {
+            version: 3,
+            file: 'out.js',
+            sources: [],
+            names: [],
+            mappings: ''
+         } );
+      } );
+
+      it( 'maps the values of annotated objects to their original positions', () => {
+         const { code, map } = serializeWithSourceMap( withSource( { layout: 'one-column' }, source ) );
+         expect( code ).to.equal( '{ layout: "one-column" }' );
+         expect( map.sources ).to.eql( [ 'page.json' ] );
+         // column 0 to 1:1, column 2 (key) and column 10 (value) to 2:4
+         expect( map.mappings ).to.equal( 'AAAA,EACG,QAAA' );
+      } );
+
+      it( 'maps nested annotated objects on separate lines', () => {
+         const { code, map } = serializeWithSourceMap( {
+            pages: [ { definition: withSource( { layout: 'one-column' }, source ) } ],
+            widgets: [ { descriptor: { name: 'a widget with a long name to enforce line breaks' } } ]
+         } );
+         expect( code.split( '\n' )[ 1 ] )
+            .to.equal( '   pages: [ { definition: { layout: "one-column" } } ],' );
+         expect( map.mappings ).to.equal( ';0BAAA,EACG,QAAA' );
+      } );
+
+      it( 'maps annotated values relative to their pointer within the source', () => {
+         const nested = {
+            file: 'page.json',
+            positions: {
+               '': { line: 1, column: 1 },
+               '/areas/content/0': { line: 4, column: 10 },
+               '/areas/content/0/widget': { line: 4, column: 22 }
+            }
+         };
+         const item = withSource( { widget: 'list' }, nested, '/areas/content/0' );
+         const { map } = serializeWithSourceMap( item );
+         // column 0 to 4:10, column 2 (key) and column 10 (value) to 4:22
+         expect( map.mappings ).to.equal( 'AAGS,EAAY,QAAA' );
+      } );
+
+      it( 'shifts the mappings by the given line and column offsets', () => {
+         const object = withSource( { layout: 'one-column' }, source );
+         const { map } = serializeWithSourceMap( object, { line: 2, column: 15 } );
+         expect( map.mappings ).to.equal( ';;eAAA,EACG,QAAA' );
+      } );
+
+   } );
+
+} );
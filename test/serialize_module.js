@@ -0,0 +1,120 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import serialize from '../src/serialize';
+import serializeModule, { serializeModuleWithSourceMap, importRef } from '../src/serialize_module';
+import { withSource } from '../src/source_locations';
+
+describe( 'serializeModule', () => {
+
+   describe( '( listing, [options] )', () => {
+
+      it( 'exports the listing as default', () => {
+         expect( serializeModule( { flows: [] } ) ).to.equal( 'export default { flows: [] };\n' );
+      } );
+
+      it( 'hoists module references to import declarations', () => {
+         const text = serializeModule( {
+            widgets: [ {
+               module: importRef( 'module!/app/widgets/my-widget' ),
+               assets: { 'my-widget.html': { content: importRef( 'content!/app/widgets/my-widget.html' ) } }
+            } ]
+         } );
+
+         expect( text.split( '\n' ).slice( 0, 3 ) ).to.eql( [
+            'import _my_widget from \'module!/app/widgets/my-widget\';',
+            'import _my_widget_html from \'content!/app/widgets/my-widget.html\';',
+            ''
+         ] );
+         expect( text ).to.contain( 'module: _my_widget,' );
+         expect( text ).to.contain( 'content: _my_widget_html' );
+      } );
+
+      it( 'imports each module once, with unique identifiers', () => {
+         const text = serializeModule( [
+            importRef( 'module!/app/a/widget' ),
+            importRef( 'module!/app/b/widget' ),
+            importRef( 'module!/app/a/widget' )
+         ] );
+
+         expect( text ).to.equal( [
+            'import _widget from \'module!/app/a/widget\';',
+            'import _widget_2 from \'module!/app/b/widget\';',
+            '',
+            'export default [ _widget, _widget_2, _widget ];',
+            ''
+         ].join( '\n' ) );
+      } );
+
+      it( 'serializes other functions as usual', () => {
+         expect( serializeModule( { a: () => 'f()' } ) ).to.equal( 'export default { a: f() };\n' );
+      } );
+
+      it( 'adds dynamic imports for the chunks of a core listing', () => {
+         const text = serializeModule( {
+            pages: [],
+            chunks: { home: { pages: [ 'home' ] } }
+         }, { chunkModule: name => `./chunks/${name}.js` } );
+
+         expect( text )
+            .to.contain( 'home: { pages: [ "home" ], load: () => import( \'./chunks/home.js\' ) }' );
+      } );
+
+      it( 'requires the chunkModule option for listings with chunks', () => {
+         expect( () => serializeModule( { chunks: {} } ) )
+            .to.throw( 'Option "chunkModule" is required to serialize a listing with chunks' );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.serializeModuleWithSourceMap( listing, [options] )', () => {
+
+      const source = {
+         file: 'page.json',
+         positions: {
+            '': { line: 1, column: 1 },
+            '/layout': { line: 2, column: 4 }
+         }
+      };
+
+      it( 'creates the same module text as serializeModule', () => {
+         const listing = { widgets: [ { module: importRef( 'module!/app/widgets/my-widget' ) } ] };
+         expect( serializeModuleWithSourceMap( listing ).code ).to.equal( serializeModule( listing ) );
+      } );
+
+      it( 'maps annotated values of hoisted listings, after the import declarations', () => {
+         const { code, map } = serializeModuleWithSourceMap( {
+            module: importRef( 'module!/app/widgets/my-widget' ),
+            definition: withSource( { layout: 'one-column' }, source )
+         }, { file: 'artifacts.js' } );
+
+         expect( code.split( '\n' )[ 2 ] ).to.equal(
+            'export default { module: _my_widget, definition: { layout: "one-column" } };'
+         );
+         expect( map ).to.include( { file: 'artifacts.js' } );
+         expect( map.sources ).to.eql( [ 'page.json' ] );
+         // line 3, column 49 to 1:1, column 51 (key) and column 59 (value) to 2:4
+         expect( map.mappings ).to.equal( ';;iDAAA,EACG,QAAA' );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.importRef( specifier )', () => {
+
+      it( 'is serialized as a require call by serialize', () => {
+         expect( serialize( { module: importRef( 'module!my-widget' ) } ) )
+            .to.equal( '{ module: require( \'module!my-widget\' ) }' );
+      } );
+
+   } );
+
+} );
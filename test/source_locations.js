@@ -0,0 +1,120 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import { SOURCE, parse, locate, locateErrors, withSource } from '../src/source_locations';
+
+describe( 'sourceLocations', () => {
+
+   const text = [
+      '{',
+      '   "layout": "one-column",',
+      '   "areas": {',
+      '      "a/b": [ { "widget": "w" }, { "widget": "x" } ]',
+      '   }',
+      '}'
+   ].join( '\n' );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.parse( text, file )', () => {
+
+      it( 'returns the parsed value', () => {
+         expect( parse( text, 'page.json' ).value ).to.eql( JSON.parse( text ) );
+      } );
+
+      it( 'records the position of each value by JSON pointer', () => {
+         const { source } = parse( text, 'page.json' );
+         expect( source.file ).to.eql( 'page.json' );
+         expect( source.positions ).to.eql( {
+            '': { line: 1, column: 1 },
+            '/layout': { line: 2, column: 4 },
+            '/areas': { line: 3, column: 4 },
+            '/areas/a~1b': { line: 4, column: 7 },
+            '/areas/a~1b/0': { line: 4, column: 16 },
+            '/areas/a~1b/0/widget': { line: 4, column: 18 },
+            '/areas/a~1b/1': { line: 4, column: 35 },
+            '/areas/a~1b/1/widget': { line: 4, column: 37 }
+         } );
+      } );
+
+      it( 'rejects invalid JSON with a message pointing to the problem', () => {
+         expect( () => parse( '{\n   "a": 1,\n}', 'broken.json' ) ).to.throw( /line 2/ );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.locate( source, pointer )', () => {
+
+      const { source } = parse( text, 'page.json' );
+
+      it( 'returns the file, line and column of the pointer', () => {
+         expect( locate( source, '/areas/a~1b/1/widget' ) ).to.eql( {
+            file: 'page.json',
+            pointer: '/areas/a~1b/1/widget',
+            line: 4,
+            column: 37
+         } );
+      } );
+
+      it( 'falls back to the closest existing parent', () => {
+         expect( locate( source, '/areas/a~1b/1/features/x' ) ).to.include( { line: 4, column: 35 } );
+      } );
+
+      it( 'returns only the file and pointer if no positions are known', () => {
+         expect( locate( { file: 'page.json' }, '/layout' ) ).to.eql( {
+            file: 'page.json',
+            pointer: '/layout'
+         } );
+      } );
+
+      it( 'returns null if the source is unknown', () => {
+         expect( locate( undefined, '/layout' ) ).to.equal( null );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.locateErrors( source, errors )', () => {
+
+      it( 'adds a location to each error based on its data path', () => {
+         const { source } = parse( text, 'page.json' );
+         const errors = locateErrors( source, [ { dataPath: '/layout' } ] );
+         expect( errors[ 0 ].location ).to.include( { file: 'page.json', line: 2, column: 4 } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.withSource( value, source, [pointer] )', () => {
+
+      it( 'returns a copy of the value that references the source', () => {
+         const { value, source } = parse( text, 'page.json' );
+         const annotated = withSource( value, source );
+         expect( annotated ).to.eql( value );
+         expect( annotated ).not.to.equal( value );
+         expect( annotated[ SOURCE ] ).to.equal( source );
+      } );
+
+      it( 'records the pointer of values that are not the root of their source', () => {
+         const { value, source } = parse( text, 'page.json' );
+         const annotated = withSource( value.areas[ 'a/b' ][ 1 ], source, '/areas/a~1b/1' );
+         expect( annotated[ SOURCE ] ).to.eql( { ...source, pointer: '/areas/a~1b/1' } );
+      } );
+
+      it( 'returns the value itself if the source is unknown', () => {
+         const value = { layout: 'one-column' };
+         expect( withSource( value, undefined ) ).to.equal( value );
+      } );
+
+   } );
+
+} );
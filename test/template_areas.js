@@ -0,0 +1,245 @@
+/**
+ * Copyright 2017 aixigo AG
+ * Released under the MIT license.
+ * http://laxarjs.org/license
+ */
+'use strict';
+
+import { expect } from 'chai';
+import templateAreas, {
+   extractAreas, unprovidedAreas, circularAreas, filledAreas
+} from '../src/template_areas';
+import { create as createPageAssembler } from '../src/page_assembler';
+
+describe( 'templateAreas', () => {
+
+   const page = {
+      name: 'page',
+      definition: {
+         layout: 'one-column',
+         areas: {
+            header: [ { id: 'nested', layout: 'two-columns' } ],
+            contnet: [ { id: 'text', widget: 'text-widget' } ],
+            footer: [],
+            'nested.left': [ { id: 'list', widget: 'list-widget' } ],
+            'nested.middle': [ { id: 'details', widget: 'details-widget' } ],
+            'text.content': [ { id: 'more', widget: 'text-widget' } ],
+            'text.aside': [ { id: 'aside', widget: 'text-widget' } ],
+            'missing.content': [ { id: 'lost', widget: 'text-widget' } ]
+         }
+      }
+   };
+
+   const widgets = {
+      'text-widget': [ 'content' ]
+   };
+
+   const layouts = {
+      'one-column': [ 'header', 'content', 'footer' ],
+      'two-columns': [ 'left', 'right' ]
+   };
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.create( options )', () => {
+
+      const themes = [
+         { name: 'blue.theme', path: 'themes/blue.theme', themes: [] },
+         { name: 'default.theme', path: 'themes/default.theme', themes: [] }
+      ];
+      const layout = {
+         name: 'one-column',
+         path: 'layouts/one-column',
+         category: 'layouts',
+         descriptor: { name: 'one-column' }
+      };
+
+      it( 'returns a reader for the areas declared by a template', () => {
+         const reader = templateAreas.create( {
+            fileContents: {
+               'layouts/one-column/default.theme/one-column.html':
+                  '<div data-ax-area="header"></div><div data-ax-area="content"></div>'
+            }
+         } );
+         return reader.areasOf( layout, themes )
+            .then( areas => {
+               expect( areas ).to.eql( [ 'header', 'content' ] );
+            } );
+      } );
+
+      it( 'uses the template source of the descriptor', () => {
+         const reader = templateAreas.create( {
+            fileContents: {
+               'themes/blue.theme/layouts/one-column/main.html': '<main data-ax-area="content"></main>'
+            }
+         } );
+         return reader.areasOf( { ...layout, descriptor: { templateSource: 'main.html' } }, themes )
+            .then( areas => {
+               expect( areas ).to.eql( [ 'content' ] );
+            } );
+      } );
+
+      it( 'yields null if the template cannot be found', () => {
+         const reader = templateAreas.create( { fileContents: {} } );
+         return reader.areasOf( layout, themes )
+            .then( areas => {
+               expect( areas ).to.equal( null );
+            } );
+      } );
+
+      it( 'yields null if templates cannot be read', () => {
+         const reader = templateAreas.create( { resolve: path => path } );
+         return reader.areasOf( layout, themes )
+            .then( areas => {
+               expect( areas ).to.equal( null );
+            } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.extractAreas( html )', () => {
+
+      it( 'lists the areas declared using data-ax-area attributes', () => {
+         expect( extractAreas( [
+            '<div class="row">',
+            '  <div class="col" data-ax-area="left"></div>',
+            '  <div class="col" data-ax-area=\'right\' data-ax-area-class="col-md-6"></div>',
+            '  <div data-ax-area=bottom></div>',
+            '  <div data-ax-area="left"></div>',
+            '</div>'
+         ].join( '\n' ) ) ).to.eql( [ 'left', 'right', 'bottom' ] );
+      } );
+
+      it( 'lists the areas declared using data-ax-widget-area attributes', () => {
+         expect( extractAreas( [
+            '<div>',
+            '  <div data-ax-widget-area="content"></div>',
+            '  <div data-ax-widget-area=\'aside\'></div>',
+            '</div>'
+         ].join( '\n' ) ) ).to.eql( [ 'content', 'aside' ] );
+      } );
+
+      it( 'lists the areas declared without the data- prefix', () => {
+         expect( extractAreas( [
+            '<div>',
+            '  <div ax-area="header"></div>',
+            '  <div ax-widget-area="content"></div>',
+            '</div>'
+         ].join( '\n' ) ) ).to.eql( [ 'header', 'content' ] );
+      } );
+
+      it( 'ignores text mentioning the attribute', () => {
+         expect( extractAreas( '<p>Use no-data-ax-area="x" here</p>' ) ).to.eql( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.unprovidedAreas( page, layoutAreas, [widgetAreas] )', () => {
+
+      it( 'reports non-empty areas that are not declared by the page layout or by nested layouts', () => {
+         expect( unprovidedAreas( page, ref => layouts[ ref ] ).map( _ => _.message ) ).to.eql( [
+            'Area "contnet" is not provided by layout "one-column"',
+            'Area "nested.middle" is not provided by layout "two-columns"',
+            'Area "missing.content" refers to unknown item ID "missing"'
+         ] );
+      } );
+
+      it( 'reports areas that are not declared by the widget providing them', () => {
+         const problems = unprovidedAreas( page, () => null, ref => widgets[ ref ] );
+         expect( problems.map( _ => _.message ) ).to.eql( [
+            'Area "text.aside" is not provided by widget "text-widget"',
+            'Area "missing.content" refers to unknown item ID "missing"'
+         ] );
+      } );
+
+      it( 'skips layouts and widgets whose areas are not known', () => {
+         expect( unprovidedAreas( page, () => null ).map( _ => _.message ) ).to.eql( [
+            'Area "missing.content" refers to unknown item ID "missing"'
+         ] );
+      } );
+
+      it( 'skips widgets whose templates do not declare any areas', () => {
+         expect( unprovidedAreas( page, () => null, () => [] ).map( _ => _.message ) ).to.eql( [
+            'Area "missing.content" refers to unknown item ID "missing"'
+         ] );
+      } );
+
+      it( 'reports areas of layouts that do not declare any areas', () => {
+         expect( unprovidedAreas( page, () => [] ).map( _ => _.message ) ).to.contain(
+            'Area "header" is not provided by layout "one-column"'
+         );
+      } );
+
+      it( 'skips the areas of disabled items', () => {
+         const validators = { page: () => true, features: { widgets: {}, pages: {} } };
+         const pageAssembler = createPageAssembler( validators, { pages: {}, widgets: {}, layouts: {} } );
+         return pageAssembler.assemble( {
+            name: 'page',
+            definition: {
+               layout: 'one-column',
+               areas: {
+                  content: [ { id: 'text', widget: 'text-widget', enabled: false } ],
+                  'text.content': [ { id: 'more', widget: 'text-widget' } ],
+                  'missing.content': [ { id: 'lost', widget: 'text-widget' } ]
+               }
+            }
+         } ).then( assembledPage => {
+            expect( unprovidedAreas( assembledPage, () => null ).map( _ => _.message ) ).to.eql( [
+               'Area "missing.content" refers to unknown item ID "missing"'
+            ] );
+         } );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.circularAreas( page )', () => {
+
+      it( 'reports items that are nested into their own areas', () => {
+         const problems = circularAreas( {
+            definition: {
+               areas: {
+                  content: [ { id: 'a', widget: 'box' } ],
+                  'a.content': [ { id: 'b', widget: 'box' } ],
+                  'x.content': [ { id: 'y', widget: 'box' } ],
+                  'y.content': [ { id: 'z', widget: 'box' } ],
+                  'z.content': [ { id: 'x', widget: 'box' } ],
+                  'f.content': [ { id: 'f', widget: 'box' } ]
+               }
+            }
+         } );
+         expect( problems.map( _ => _.message ) ).to.eql( [
+            'Circular nesting of areas: y -> x -> z -> y',
+            'Circular nesting of areas: f -> f'
+         ] );
+      } );
+
+      it( 'accepts properly nested areas', () => {
+         expect( circularAreas( page ) ).to.eql( [] );
+      } );
+
+   } );
+
+   ///////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+   describe( '.filledAreas( page )', () => {
+
+      it( 'lists the filled areas of the page layout and of nested layouts', () => {
+         expect( filledAreas( page ) ).to.eql( {
+            'one-column': [ 'header', 'contnet' ],
+            'two-columns': [ 'left', 'middle' ]
+         } );
+      } );
+
+      it( 'lists the page layout even if no area is filled', () => {
+         expect( filledAreas( { definition: { layout: 'empty', areas: {} } } ) ).to.eql( { empty: [] } );
+      } );
+
+   } );
+
+} );